@@ -3,45 +3,90 @@ const express = require("express");
 const fs = require("fs");
 const path = require("path");
 const axios = require("axios");
-const { loadChannelPreferences } = require("./utils-preferences");
+const {
+  loadChannelPreferences,
+  initPreferences,
+  flushPreferences,
+} = require("./utils-preferences");
 const commands = require("./commands");
 const modalDefs = require("./modal-definitions");
 const logger = require("./utils-logger");
 const {
   verifySlackRequest,
   postThreadReply,
+  postMessage,
   openView,
   getBotUserId,
 } = require("./utils-slack");
-const { PORT, GLOBAL_ADMINS } = require("./utils-variables");
+const {
+  PORT,
+  GLOBAL_ADMINS,
+  WORKER_MODE,
+  EMBEDDED_WORKERS,
+  WORKER_CONCURRENCY,
+  PREFERENCES_BACKEND,
+} = require("./utils-variables");
 const { isThreadActive, markThreadActive } = require("./utils-threads");
+const { isDuplicateEvent } = require("./utils-dedupe");
 const {
   handleMention,
   handleAmbient,
   handleReactionAdded,
+  takePromotableAnswer,
   setBotUserId,
-  looksLikeQuestion,
   looksLikeChatter,
 } = require("./utils-message");
+const { classifyMessage } = require("./utils-classifier");
 const {
   openLeaveChannelModal,
   handleLeaveChannelSubmission,
+  openInstructionsModal,
+  handleInstructionsSubmission,
+  handleAddVectorSubmission,
+  openFaqModal,
+  handleFaqSubmission,
   handleFeedbackSubmission,
+  openImportModal,
+  handleImportSubmission,
+  handleImportConfirmation,
 } = require("./utils-modals");
-const { isUserSilencedInChannel } = require("./utils-preferences");
-const { isUserOnCooldown } = require("./utils-ratelimit");
+const { isLearnRequest, handleLearn } = require("./utils-ingest");
+const { publishHome, isHomeAction, handleHomeAction } = require("./utils-home");
+const {
+  handleDirectMessage,
+  handleKnowledgeBaseSelection,
+} = require("./utils-dm");
+const {
+  getAmbientPolicy,
+  getChannelLanguages,
+  isUserSilencedInChannel,
+  isChannelAdmin,
+  isChannelSubscribed,
+} = require("./utils-preferences");
+const {
+  getAmbientRateLimit,
+  reserveAmbientResponse,
+  releaseAmbientResponse,
+} = require("./utils-ratelimit");
+const { isAmbientWithinBudget } = require("./utils-budget");
 const {
   initializeRedis,
   closeRedis,
   isRedisConnected,
 } = require("./utils-redis");
+const {
+  enqueueJob,
+  getQueueStats,
+  startWorkers,
+  stopWorkers,
+} = require("./utils-queue");
 
 // ============================================================================
 // REDIS INITIALIZATION
 // ============================================================================
 
 // Initialize Redis connection
-(async () => {
+const redisReady = (async () => {
   try {
     await initializeRedis();
   } catch (error) {
@@ -55,6 +100,8 @@ const {
 // Graceful shutdown handler
 process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down gracefully...");
+  await stopWorkers();
+  await flushPreferences();
   await closeRedis();
   process.exit(0);
 });
@@ -62,11 +109,16 @@ process.on("SIGTERM", async () => {
 const app = express();
 const port = PORT;
 
-// Helper to check if user is admin
+// Helper to check if user is a global (workspace) admin
 function isAdmin(userId) {
   return GLOBAL_ADMINS.includes(userId);
 }
 
+// Helper to check if user is a global admin or an admin of this channel
+function isAdminOfChannel(userId, channelId) {
+  return isAdmin(userId) || isChannelAdmin(userId, channelId);
+}
+
 let isInitialized = false;
 let botUserId = null;
 
@@ -92,16 +144,65 @@ app.use(
   }),
 );
 
-// Health check
-app.get("/", (req, res) => {
+// Health check (also served by worker processes)
+async function healthCheck(req, res) {
   const redisStatus = isRedisConnected() ? "connected" : "disconnected";
   res.json({
     status: "ok",
+    mode: WORKER_MODE ? "worker" : "web",
     redis: redisStatus,
+    queue: await getQueueStats(),
     uptime: process.uptime(),
     chatter: looksLikeChatter("impossible travel predictor"),
   });
-});
+}
+app.get("/", healthCheck);
+
+// =========================================
+// Answer jobs (processed by queue workers, see utils-queue.js)
+
+const JOB_HANDLERS = {
+  mention: handleMention,
+  ambient: handleAmbient,
+  dm: handleDirectMessage,
+};
+
+const QUEUE_FULL_MESSAGE =
+  "I'm answering a lot of questions right now. Please try again in a few minutes.";
+
+/**
+ * Queue an event that needs an answer
+ * Without Redis the event is answered in this process, as before the queue
+ */
+async function answerEvent(type, event) {
+  const result = await enqueueJob(type, event);
+  if (result.queued) return;
+
+  if (result.reason === "full") {
+    logger.warn(
+      `[${event.channel}] (${event.ts}) ${type} request from ${event.user} dropped (queue full)`,
+    );
+    // Ambient questions are dropped quietly (giving back their rate limit slot)
+    if (type === "ambient") {
+      return releaseAmbientResponse(event.channel, event.user, event.ts);
+    }
+    if (type === "mention") {
+      return postThreadReply(
+        event.channel,
+        event.thread_ts || event.ts,
+        QUEUE_FULL_MESSAGE,
+      );
+    }
+    if (type === "dm") {
+      return postMessage(event.channel, QUEUE_FULL_MESSAGE, {
+        thread_ts: event.thread_ts,
+      });
+    }
+    return;
+  }
+
+  return JOB_HANDLERS[type](event);
+}
 
 // =========================================
 // Slack slash command endpoint
@@ -125,6 +226,7 @@ app.post("/slack/commands", verifySlackRequest, async (req, res) => {
       user_id: userId,
       trigger_id,
       channel_id: channelId,
+      response_url: responseUrl,
     } = req.body;
 
     // Verify it's our command
@@ -148,7 +250,9 @@ app.post("/slack/commands", verifySlackRequest, async (req, res) => {
       originalText: text.trim(),
       userId,
       channelId,
+      responseUrl,
       isAdmin: isAdmin(userId),
+      isChannelAdmin: isChannelAdmin(userId, channelId),
     };
 
     // Dispatch to command handler
@@ -169,6 +273,51 @@ app.post("/slack/commands", verifySlackRequest, async (req, res) => {
       return;
     }
 
+    // Handle special case: instructions command opens a modal
+    if (
+      typeof result === "object" &&
+      result.action === "open_instructions_modal"
+    ) {
+      clearTimeout(safetyTimeout);
+      res.json({
+        response_type: "ephemeral",
+        text: result.text,
+      });
+
+      openInstructionsModal(trigger_id, channelId).catch((error) => {
+        logger.error("Error opening instructions modal:", error);
+      });
+      return;
+    }
+
+    // Handle special case: faq add opens a modal
+    if (typeof result === "object" && result.action === "open_faq_modal") {
+      clearTimeout(safetyTimeout);
+      res.json({
+        response_type: "ephemeral",
+        text: result.text,
+      });
+
+      openFaqModal(trigger_id, channelId).catch((error) => {
+        logger.error("Error opening FAQ modal:", error);
+      });
+      return;
+    }
+
+    // Handle special case: import command opens a modal
+    if (typeof result === "object" && result.action === "open_import_modal") {
+      clearTimeout(safetyTimeout);
+      res.json({
+        response_type: "ephemeral",
+        text: result.text,
+      });
+
+      openImportModal(trigger_id).catch((error) => {
+        logger.error("Error opening import modal:", error);
+      });
+      return;
+    }
+
     // Normal response (string)
     clearTimeout(safetyTimeout);
     res.json({
@@ -201,32 +350,69 @@ app.post("/slack/events", verifySlackRequest, async (req, res) => {
 
   if (!event) return;
 
+  // Slack retries slow deliveries; answer each event only once
+  if (await isDuplicateEvent(req.body.event_id, req.headers)) return;
+
   // Reaction events (feedback flow)
   if (event.type === "reaction_added") {
     return handleReactionAdded(event);
   }
 
+  // App Home tab opened
+  if (event.type === "app_home_opened") {
+    if (event.tab !== "home") return;
+    return publishHome(event.user, isAdmin(event.user));
+  }
+
   // Ignore bot messages and subtypes (edits, joins, etc.)
-  if (event.bot_id || event.subtype) return;
+  // File shares are let through so "@dasilva learn" can read attachments
+  if (event.bot_id || (event.subtype && event.subtype !== "file_share")) {
+    return;
+  }
+
+  // Direct messages to the bot
+  if (event.type === "message" && event.channel_type === "im") {
+    if (event.subtype) return;
+    return answerEvent("dm", event);
+  }
 
   // Regular channel messages
   if (event.type === "message") {
     // the bot was mentioned - always reply
     if (event.text?.includes(`<@${botUserId}>`)) {
-      return handleMention(event);
+      // "@dasilva learn" with attachments adds them to the vector store
+      if (isLearnRequest(event.text)) {
+        return handleLearn(event, isAdminOfChannel(event.user, event.channel));
+      }
+      return answerEvent("mention", event);
     }
 
+    // Other file shares are not questions
+    if (event.subtype) return;
+
     // receive message in active thread
     if (
       event.thread_ts &&
       (await isThreadActive(event.channel, event.thread_ts))
     ) {
-      // does this look like a question?
-      if (looksLikeQuestion(event.text)) {
-        return handleMention(event);
+      // past the ambient budget cutoff follow-ups are not classified
+      // (the LLM classifier costs tokens); an @mention still gets an answer
+      if (!(await isAmbientWithinBudget(event.channel))) {
+        logger.info(
+          `[${event.channel}] (${event.ts}) threaded ambient message from ${event.user} not classified (budget). Ignoring.`,
+        );
+        return;
+      }
+
+      // is this a question? (scope was settled when the thread started)
+      const classification = await classifyMessage(event, {
+        requireInScope: false,
+      });
+      if (classification.shouldAnswer) {
+        return answerEvent("mention", event);
       }
 
-      if (looksLikeChatter(event.text)) {
+      if (looksLikeChatter(event.text, getChannelLanguages(event.channel))) {
         // handle chatter
         postThreadReply(event.channel, event.ts, "namaste");
       }
@@ -240,32 +426,68 @@ app.post("/slack/events", verifySlackRequest, async (req, res) => {
 
     // root channel message
 
-    // does this look like a question?
-    if (!looksLikeQuestion(event.text)) {
+    // has the channel turned ambient replies off?
+    if (getAmbientPolicy(event.channel) === "off") {
       logger.info(
-        `[${event.channel}] (${event.ts}) ambient message from ${event.user} does not look like question. Ignoring.`,
+        `[${event.channel}] (${event.ts}) ambient replies are off in this channel. Ignoring.`,
       );
       return;
     }
 
-    // is the user on cooldown?
-    if (!isUserOnCooldown(event.channel, event.user)) {
+    // is the user on cooldown, or the channel or workspace over its hourly cap?
+    const rateLimit = await getAmbientRateLimit(event.channel, event.user);
+    if (rateLimit) {
       logger.info(
-        `[${event.channel}] (${event.ts}) ambient message from ${event.user} who is on cooldown. Ignoring.`,
+        `[${event.channel}] (${event.ts}) ambient message from ${event.user} is over the ${rateLimit.limit} rate limit (retry in ${rateLimit.retryAfter}s). Ignoring.`,
       );
       return;
     }
 
-    // has user silenced the bot from answering ambient questions in this channel?
+    // has user silenced the bot in this channel (or not opted in to an opt-in channel)?
     if (isUserSilencedInChannel(event.user, event.channel)) {
       logger.info(
-        `[${event.channel}] (${event.ts}) ambient message from ${event.user} who is silenced in this channel. Ignoring.`,
+        `[${event.channel}] (${event.ts}) ambient message from ${event.user} who is silenced (or not opted in) in this channel. Ignoring.`,
+      );
+      return;
+    }
+
+    // only subscribed channels have a knowledge base to answer from
+    if (!isChannelSubscribed(event.channel)) return;
+
+    // is the channel past its ambient budget cutoff? (checked before the
+    // classifier, which would spend tokens on a question we can't answer)
+    if (!(await isAmbientWithinBudget(event.channel))) {
+      logger.info(
+        `[${event.channel}] (${event.ts}) ambient message from ${event.user} suppressed (budget). Ignoring.`,
+      );
+      return;
+    }
+
+    // is this an in-scope question? (last: the LLM classifier costs tokens)
+    const classification = await classifyMessage(event);
+    if (!classification.shouldAnswer) {
+      logger.info(
+        `[${event.channel}] (${event.ts}) ambient message from ${event.user} is not an in-scope question. Ignoring.`,
+      );
+      return;
+    }
+
+    // take a rate limit slot now: the answer is only sent seconds later, and
+    // messages arriving meanwhile must not all pass the check above
+    const reserved = await reserveAmbientResponse(
+      event.channel,
+      event.user,
+      event.ts,
+    );
+    if (reserved) {
+      logger.info(
+        `[${event.channel}] (${event.ts}) ambient message from ${event.user} is over the ${reserved.limit} rate limit (retry in ${reserved.retryAfter}s). Ignoring.`,
       );
       return;
     }
 
-    // we should reply
-    return handleAmbient(event);
+    // we should reply (the handler releases the slot if it doesn't)
+    return answerEvent("ambient", event);
   }
 });
 
@@ -315,18 +537,46 @@ app.post("/slack/interactions", verifySlackRequest, async (req, res) => {
       }
 
       if (action?.action_id === "promote_to_public") {
-        const { channel, messageTs, reply } = JSON.parse(action.value);
+        const { channel, messageTs, token } = JSON.parse(action.value);
 
         logger.info(
           `[${channel}] (${messageTs}) promoting ephemeral response requested by ${user.id}`,
         );
 
         try {
+          // The answer is held in Redis (button values are too small for it)
+          const promotable = await takePromotableAnswer(token);
+          if (!promotable) {
+            logger.warn(
+              `[${channel}] (${messageTs}) promotable answer for ${user.id} expired or already promoted`,
+            );
+            if (payload.response_url) {
+              await axios.post(payload.response_url, {
+                response_type: "ephemeral",
+                replace_original: false,
+                text: "Sorry, this answer can no longer be promoted. Ask again or @mention me for a public answer.",
+              });
+            }
+            return res.status(200).send();
+          }
+          const { reply, question } = promotable;
+
+          // Private asks (/dasilva ask) have no message to reply to,
+          // so post the question publicly first and answer in its thread
+          let threadTs = messageTs;
+          if (!threadTs) {
+            const questionMessage = await postMessage(
+              channel,
+              `<@${user.id}> asked: ${question}`,
+            );
+            threadTs = questionMessage.ts;
+          }
+
           // Post public reply to the original message
-          await postThreadReply(channel, messageTs, reply);
+          await postThreadReply(channel, threadTs, reply);
 
           // Mark this thread as active so follow-ups are handled like @mention threads
-          await markThreadActive(channel, messageTs);
+          await markThreadActive(channel, threadTs);
 
           // Delete the ephemeral message
           if (payload.response_url) {
@@ -339,6 +589,26 @@ app.post("/slack/interactions", verifySlackRequest, async (req, res) => {
         return res.status(200).send();
       }
 
+      if (isHomeAction(action?.action_id)) {
+        try {
+          await handleHomeAction(payload, isAdmin(user.id));
+        } catch (error) {
+          logger.error("Error handling App Home action:", error);
+        }
+
+        return res.status(200).send();
+      }
+
+      if (action?.action_id === "select_dm_knowledge_base") {
+        try {
+          await handleKnowledgeBaseSelection(payload);
+        } catch (error) {
+          logger.error("Error selecting DM knowledge base:", error);
+        }
+
+        return res.status(200).send();
+      }
+
       return res.status(200).send();
     }
 
@@ -348,6 +618,52 @@ app.post("/slack/interactions", verifySlackRequest, async (req, res) => {
 
       if (callback_id === "leave_channel_modal") {
         const result = await handleLeaveChannelSubmission(view, user.id);
+        res.json(result);
+
+        // Keep the admin's Home tab in sync if the modal came from there
+        if (result.response_action === "clear") {
+          publishHome(user.id, isAdmin(user.id));
+        }
+        return;
+      }
+
+      if (callback_id === "add_vector_modal") {
+        // Re-check rights: the Home tab may be stale
+        if (!isAdminOfChannel(user.id, view.private_metadata)) {
+          return res.json({
+            response_action: "errors",
+            errors: {
+              vector_block: "You must be an admin of this channel",
+            },
+          });
+        }
+
+        const result = await handleAddVectorSubmission(view, user.id);
+        res.json(result);
+
+        if (result.response_action === "clear") {
+          publishHome(user.id, isAdmin(user.id));
+        }
+        return;
+      }
+
+      if (callback_id === "instructions_modal") {
+        const result = await handleInstructionsSubmission(view, user.id);
+        return res.json(result);
+      }
+
+      if (callback_id === "faq_modal") {
+        const result = await handleFaqSubmission(view, user.id);
+        return res.json(result);
+      }
+
+      if (callback_id === "import_config_modal") {
+        const result = await handleImportSubmission(view, user.id);
+        return res.json(result);
+      }
+
+      if (callback_id === "import_confirm_modal") {
+        const result = await handleImportConfirmation(view, user.id);
         return res.json(result);
       }
 
@@ -371,10 +687,20 @@ app.post("/slack/interactions", verifySlackRequest, async (req, res) => {
   }
 });
 
+// Redis-backed preferences need the connection before anything is loaded
+async function prepareStorage() {
+  if (PREFERENCES_BACKEND === "redis") {
+    await redisReady;
+  }
+  await initPreferences();
+  logger.info(`preferences backend: ${PREFERENCES_BACKEND}`);
+}
+
 // Initialize everything and start server
 async function startServer() {
   try {
     // Load channel preferences (vector store mappings)
+    await prepareStorage();
     loadChannelPreferences();
     isInitialized = true;
     logger.info("Initialization complete");
@@ -395,10 +721,56 @@ async function startServer() {
       logger.info(`dasilva listening on port ${port}`);
       logger.info("ready to answer questions");
     });
+
+    // Single-process deployments answer questions here too
+    if (EMBEDDED_WORKERS) {
+      startWorkers(JOB_HANDLERS, WORKER_CONCURRENCY);
+    }
   } catch (error) {
     logger.error("failed to initialize:", error);
     process.exit(1);
   }
 }
 
-startServer();
+// Worker process (node app.js --worker): answers queued events only
+async function startWorker() {
+  // Workers update user preferences (e.g. last active channel) while the web
+  // process does too; with files each process would overwrite the other
+  if (PREFERENCES_BACKEND !== "redis") {
+    logger.error(
+      "worker mode needs PREFERENCES_BACKEND=redis (file preferences can only be used by a single process)",
+    );
+    process.exit(1);
+  }
+
+  try {
+    await prepareStorage();
+    loadChannelPreferences();
+
+    try {
+      botUserId = await getBotUserId();
+      setBotUserId(botUserId);
+      logger.info(`bot user id resolved: ${botUserId}`);
+    } catch (error) {
+      logger.error("Failed to resolve bot user id:", error.message);
+    }
+
+    startWorkers(JOB_HANDLERS, WORKER_CONCURRENCY);
+
+    // Health check only; Slack requests go to the web process
+    const health = express();
+    health.get("/", healthCheck);
+    health.listen(port, () => {
+      logger.info(`dasilva worker health check listening on port ${port}`);
+    });
+  } catch (error) {
+    logger.error("failed to initialize worker:", error);
+    process.exit(1);
+  }
+}
+
+if (WORKER_MODE) {
+  startWorker();
+} else {
+  startServer();
+}
@@ -1,31 +1,101 @@
 const {
   getUserPreference,
   updateUserPreference,
-  getVectorId,
+  getVectorIds,
+  getChannelInstructions,
+  getChannelModel,
+  getChannelMaxOutputTokens,
+  getChannelRetrievalThreshold,
+  getChannelBudget,
   getAllChannelPreferences,
-  updateChannelPreference,
-  deleteChannelPreference,
+  getChannelAdmins,
+  isChannelAdmin,
+  getAmbientPolicy,
+  getChannelLanguages,
   isUserSilencedInChannel,
   silenceUserInChannel,
   unsilenceUserInChannel,
+  listPreferenceVersions,
+  rollbackPreferences,
+  getSourceLinks,
 } = require("./utils-preferences");
 const channelConfigModule = require("./utils-channel");
 const logger = require("./utils-logger");
 const {
   RESPONSE_COOLDOWN_SECONDS,
   UNKNOWN_COMMAND_MESSAGE,
+  ALLOWED_MODELS,
+  MAX_OUTPUT_TOKENS_LIMIT,
+  AMBIENT_POLICIES,
+  DEFAULT_AMBIENT_POLICY,
+  RETRIEVAL_THRESHOLD,
+  BUDGET_PERIODS,
+  BUDGET_WARNING_PERCENT,
+  BUDGET_AMBIENT_CUTOFF_PERCENT,
 } = require("./utils-variables");
-const { isValidVectorId } = require("./utils-openai");
+const {
+  isValidVectorId,
+  getEffectiveModel,
+  getEffectiveMaxOutputTokens,
+} = require("./utils-openai");
+const { ingestMessageFiles } = require("./utils-ingest");
+const { getChannelContext, handleAsk } = require("./utils-message");
+const { exportConfigToUser } = require("./utils-config");
+const { getUsageReport, formatUsageReport } = require("./utils-usage");
+const { getBudgetStatus } = require("./utils-budget");
+const { purgeChannelCache } = require("./utils-cache");
+const { formatFaqList } = require("./utils-faq");
+const { LANGUAGE_CODES, describeLanguages } = require("./utils-language");
+const { parseMessageLink, postToResponseUrl } = require("./utils-slack");
+const {
+  recordAudit,
+  getAuditEntries,
+  formatAuditEntry,
+} = require("./utils-audit");
 
+// Global admins, or admins of the channel the command was run in
 function adminOnly(fn) {
   return (ctx) => {
-    if (!ctx.isAdmin) return "You must be an admin to use this command.";
+    if (!ctx.isAdmin && !ctx.isChannelAdmin) {
+      return "You must be an admin to use this command.";
+    }
+    return fn(ctx);
+  };
+}
+
+// Workspace-wide commands are limited to global admins (GLOBAL_ADMINS)
+function globalAdminOnly(fn) {
+  return (ctx) => {
+    if (!ctx.isAdmin) {
+      return "You must be a workspace admin to use this command.";
+    }
     return fn(ctx);
   };
 }
 
+/**
+ * Extract Slack user IDs from command text
+ * Accepts escaped mentions (<@U123|name>) and raw IDs (U123)
+ */
+function parseUserIds(text) {
+  const ids = [
+    ...text.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>|\b([UW][A-Z0-9]{8,})\b/g),
+  ].map((match) => match[1] || match[2]);
+  return [...new Set(ids)];
+}
+
+// How each ambient policy is described to users
+const AMBIENT_POLICY_DESCRIPTIONS = {
+  off: "Off - I only answer @mentions and `/dasilva ask` here",
+  "opt-in":
+    "Opt-in - I answer questions privately once you `/dasilva unsilence`",
+  "opt-out":
+    "Opt-out - I answer questions privately unless you `/dasilva silence`",
+};
+
 function handleHelp(ctx) {
   const userPref = getUserPreference(ctx.userId);
+  const ambientPolicy = getAmbientPolicy(ctx.channelId);
   const silencedStatus = isUserSilencedInChannel(ctx.userId, ctx.channelId)
     ? "Yes (in this channel)"
     : "No";
@@ -46,32 +116,67 @@ I monitor specific channels and help answer questions.
 *What do I know:*
 - I'm trained on internal and external documentation relevant to this channel's topics
 
+*App Home:*
+- Open my *Home* tab to see and change your settings for every channel
+
 *Slash Commands:*
 - \`/dasilva help\` - Show this message
+- \`/dasilva ask <question>\` - Ask me privately without posting in the channel
 - \`/dasilva silence\` - Pause private (ambient) responses in this channel
 - \`/dasilva unsilence\` - Allow private (ambient) responses in this channel
 - \`/dasilva cooldown <minutes>\` - Set cooldown (0-1440 minutes) for all channels
 
+*This channel:*
+- Private (ambient) replies: ${AMBIENT_POLICY_DESCRIPTIONS[ambientPolicy]}
+
 *Your current settings:*
 - Silenced: ${silencedStatus}
 - Cooldown: ${cooldownStatus}`;
 
-  if (ctx.isAdmin) {
+  if (ctx.isAdmin || ctx.isChannelAdmin) {
     text += `
 
 *Admin Commands:*
-- \`/dasilva subscribe\` - Add current channel to configuration
 - \`/dasilva leave\` - Remove current channel from configuration
+- \`/dasilva addvector <id>\` - Attach an OpenAI vector store to this channel
+- \`/dasilva dropvector [id]\` - Remove one vector store (or all) from this channel
+- \`/dasilva instructions\` - View, edit or reset this channel's instructions
+- \`/dasilva ambient [off|opt-in|opt-out|default]\` - Show or set this channel's ambient reply policy
+- \`/dasilva languages [codes|default]\` - Show or set the languages ambient mode recognises questions in
+- \`/dasilva model [name|default]\` - Show or set this channel's OpenAI model
+- \`/dasilva maxtokens [n|default]\` - Show or set this channel's max output tokens
+- \`/dasilva threshold [0-1|default]\` - Show or set the document relevance score ambient answers need
+- \`/dasilva budget [daily|monthly <tokens>|off]\` - Show or set this channel's token budget
+- \`/dasilva faq add|list|remove <id>\` - Manage curated answers for this channel
+- \`/dasilva sourcelink add|remove|list\` - Link cited documents to their wiki or docs pages
+- \`/dasilva purgecache\` - Forget cached answers for this channel (after its docs change)
+- \`/dasilva ingest <message link>\` - Add a message's files to its channel's vector store
+- \`@DaSilva learn\` + attached file - Add the file to this channel's vector store
+- \`/dasilva audit [#channel] [n]\` - Show recent admin actions`;
+  }
+
+  if (ctx.isAdmin) {
+    text += `
+
+*Workspace Admin Commands:*
+- \`/dasilva subscribe\` - Add current channel to configuration
 - \`/dasilva channels\` - List all configured channels
-- \`/dasilva addvector <id>\` - Connect an OpenAI vector store to this channel
-- \`/dasilva dropvector\` - Remove vector store from this channel
-- \`/dasilva listvector\` - Show all vector store configurations`;
+- \`/dasilva listvector\` - Show all vector store configurations
+- \`/dasilva admins add|remove @user\` - Grant or revoke admin rights for this channel
+- \`/dasilva admins list\` - Show this channel's admins
+- \`/dasilva usage [days]\` - Show token usage and cost by channel and user
+- \`/dasilva export\` - Send me a snapshot of every channel's configuration
+- \`/dasilva import\` - Restore a configuration snapshot (shows changes first)
+- \`/dasilva rollback [channels|users|sourcelinks] [n]\` - List or restore previous versions of the preference files`;
   }
 
   return text;
 }
 
 function handleSilence(ctx) {
+  if (getAmbientPolicy(ctx.channelId) === "off") {
+    return "Private (ambient) responses are turned off in this channel, so there is nothing to silence. (@mentions still work!)";
+  }
   silenceUserInChannel(ctx.userId, ctx.channelId);
   logger.info(
     `[${ctx.channelId}]: User ${ctx.userId} enabled silence mode via slash command`,
@@ -80,6 +185,9 @@ function handleSilence(ctx) {
 }
 
 function handleUnsilence(ctx) {
+  if (getAmbientPolicy(ctx.channelId) === "off") {
+    return "An admin has turned off private (ambient) responses in this channel. You can still @mention me or use `/dasilva ask`.";
+  }
   unsilenceUserInChannel(ctx.userId, ctx.channelId);
   logger.info(
     `[${ctx.channelId}]: User ${ctx.userId} disabled silence mode via slash command`,
@@ -107,6 +215,28 @@ function handleCooldown(ctx) {
   return `Your cooldown has been set to ${minutes} ${minuteText}.`;
 }
 
+function handleAskCommand(ctx) {
+  const question = ctx.originalText.replace(/^ask\b/i, "").trim();
+  if (!question) {
+    return "Usage: `/dasilva ask <question>`";
+  }
+  if (!getChannelContext(ctx.channelId)) {
+    return "Sorry, I'm not trained for this channel yet.";
+  }
+
+  // Answered after the slash command response via response_url
+  handleAsk({
+    channelId: ctx.channelId,
+    userId: ctx.userId,
+    question,
+    responseUrl: ctx.responseUrl,
+  }).catch((error) => {
+    logger.error(`[${ctx.channelId}] error handling ask:`, error);
+  });
+
+  return "_Thinking..._";
+}
+
 function handleSubscribe(ctx) {
   if (channelConfigModule.channelExists(ctx.channelId)) {
     return `Channel <#${ctx.channelId}> is already configured.`;
@@ -116,6 +246,13 @@ function handleSubscribe(ctx) {
     logger.info(
       `[${ctx.channelId}]: channel subscribed by admin ${ctx.userId}`,
     );
+    recordAudit({
+      actor: ctx.userId,
+      channelId: ctx.channelId,
+      action: "subscribe",
+      oldValue: { subscribed: false },
+      newValue: { subscribed: true },
+    });
     return `Channel <#${ctx.channelId}> subscribed successfully! Use \`/dasilva addvector <vector_id>\` to connect an OpenAI vector store.`;
   }
   return `Failed to add channel: ${result.error}`;
@@ -137,51 +274,720 @@ function handleChannels() {
     "*Configured Channels:*\n\n" +
     channels
       .map(([id]) => {
-        const vectorId = getVectorId(id);
-        const vectorInfo = vectorId
-          ? `Vector: \`${vectorId}\``
-          : "_No vector store_";
-        return `\u2022 <#${id}> (\`${id}\`)\n  ${vectorInfo}`;
+        const vectorIds = getVectorIds(id);
+        const vectorInfo =
+          vectorIds.length > 0
+            ? `Vector: ${vectorIds.map((v) => `\`${v}\``).join(", ")}`
+            : "_No vector store_";
+        const instructionsInfo = getChannelInstructions(id)
+          ? "Instructions: custom"
+          : "Instructions: global";
+        const ambientInfo = `Ambient: ${getAmbientPolicy(id)} (${getChannelLanguages(id).join(", ")})`;
+        const modelInfo = `Model: \`${getEffectiveModel(getChannelModel(id))}\` (${getEffectiveMaxOutputTokens(getChannelMaxOutputTokens(id))} max tokens)`;
+        const budget = getChannelBudget(id);
+        const budgetInfo = budget
+          ? `Budget: ${formatBudget(budget)}`
+          : "Budget: unlimited";
+        return `\u2022 <#${id}> (\`${id}\`)\n  ${vectorInfo}\n  ${instructionsInfo}\n  ${ambientInfo}\n  ${modelInfo}\n  ${budgetInfo}`;
       })
       .join("\n\n")
   );
 }
 
+function handleInstructions(ctx) {
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+  return {
+    text: "Opening channel instructions...",
+    action: "open_instructions_modal",
+  };
+}
+
+function handleModel(ctx) {
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  const value = ctx.args.split(/\s+/)[1];
+  if (!value) {
+    const override = getChannelModel(ctx.channelId);
+    return (
+      `Model for <#${ctx.channelId}>: \`${getEffectiveModel(override)}\`${override ? "" : " (default)"}\n` +
+      `Allowed models: ${ALLOWED_MODELS.map((m) => `\`${m}\``).join(", ")}\n` +
+      "Usage: `/dasilva model <name|default>`"
+    );
+  }
+
+  const model = value === "default" ? null : value;
+  const result = channelConfigModule.setModel(ctx.channelId, model);
+  if (!result.success) {
+    return result.error;
+  }
+  logger.info(
+    `[${ctx.channelId}]: model set to ${model || "default"} by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "model",
+    oldValue: result.previous,
+    newValue: model,
+  });
+  return `<#${ctx.channelId}> now uses \`${getEffectiveModel(model)}\`${model ? "" : " (default)"}.`;
+}
+
+function handleMaxTokens(ctx) {
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  const value = ctx.args.split(/\s+/)[1];
+  if (!value) {
+    const override = getChannelMaxOutputTokens(ctx.channelId);
+    return (
+      `Max output tokens for <#${ctx.channelId}>: ${getEffectiveMaxOutputTokens(override)}${override ? "" : " (default)"}\n` +
+      `Usage: \`/dasilva maxtokens <1-${MAX_OUTPUT_TOKENS_LIMIT}|default>\``
+    );
+  }
+
+  if (value !== "default" && !/^\d+$/.test(value)) {
+    return `Invalid token count. Usage: \`/dasilva maxtokens <1-${MAX_OUTPUT_TOKENS_LIMIT}|default>\``;
+  }
+
+  const tokens = value === "default" ? null : parseInt(value, 10);
+  const result = channelConfigModule.setMaxOutputTokens(ctx.channelId, tokens);
+  if (!result.success) {
+    return result.error;
+  }
+  logger.info(
+    `[${ctx.channelId}]: max output tokens set to ${tokens || "default"} by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "maxtokens",
+    oldValue: result.previous,
+    newValue: tokens,
+  });
+  return `<#${ctx.channelId}> now allows up to ${getEffectiveMaxOutputTokens(tokens)} output tokens${tokens ? "" : " (default)"}.`;
+}
+
+function handleThreshold(ctx) {
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  const usage =
+    "Usage: `/dasilva threshold <0-1|default>` (0 turns the check off)";
+  const value = ctx.args.split(/\s+/)[1];
+  if (!value) {
+    return (
+      `Retrieval threshold for <#${ctx.channelId}>: ${getChannelRetrievalThreshold(ctx.channelId)} (default ${RETRIEVAL_THRESHOLD})\n` +
+      "Ambient answers are only sent when the best matching document scores at least this much; other answers get a low-confidence note.\n" +
+      usage
+    );
+  }
+
+  if (value !== "default" && !/^(\d+(\.\d*)?|\.\d+)$/.test(value)) {
+    return `Invalid threshold. ${usage}`;
+  }
+
+  const threshold = value === "default" ? null : parseFloat(value);
+  const result = channelConfigModule.setRetrievalThreshold(
+    ctx.channelId,
+    threshold,
+  );
+  if (!result.success) {
+    return `${result.error}\n${usage}`;
+  }
+
+  const effective = threshold ?? RETRIEVAL_THRESHOLD;
+  logger.info(
+    `[${ctx.channelId}]: retrieval threshold set to ${threshold ?? "default"} by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "threshold",
+    oldValue: result.previous,
+    newValue: effective,
+  });
+  return `Retrieval threshold for <#${ctx.channelId}> is now ${effective}${threshold === null ? " (default)" : ""}.`;
+}
+
+function formatBudget(budget) {
+  return `${budget.tokens.toLocaleString("en-US")} tokens ${budget.period}`;
+}
+
+function handleBudget(ctx) {
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  const usage = `Usage: \`/dasilva budget <${BUDGET_PERIODS.join("|")}> <tokens>\` or \`/dasilva budget off\``;
+  const [, period, tokensArg] = ctx.args.split(/\s+/);
+
+  if (!period) {
+    const budget = getChannelBudget(ctx.channelId);
+    if (!budget) {
+      return `<#${ctx.channelId}> has no token budget.\n${usage}`;
+    }
+
+    // Usage is read from Redis after the slash command response
+    getBudgetStatus(ctx.channelId)
+      .then((status) => {
+        const used = status
+          ? `${status.used.toLocaleString("en-US")} used (${Math.floor(status.percent)}%), resets <!date^${Math.floor(status.resetsAt.getTime() / 1000)}^{date_short_pretty} at {time}|${status.resetsAt.toISOString()}>`
+          : "usage unavailable (Redis is not connected, so the budget is not enforced)";
+        return postToResponseUrl(ctx.responseUrl, {
+          response_type: "ephemeral",
+          replace_original: true,
+          text:
+            `Token budget for <#${ctx.channelId}>: ${formatBudget(budget)}, ${used}\n` +
+            `Ambient answers stop at ${BUDGET_AMBIENT_CUTOFF_PERCENT}%, @mentions at 100%. Admins are warned at ${BUDGET_WARNING_PERCENT}%.\n${usage}`,
+        });
+      })
+      .catch((error) => {
+        logger.error(`[${ctx.channelId}] error reading budget:`, error);
+      });
+    return "_Checking budget..._";
+  }
+
+  let budget = null;
+  if (period !== "off") {
+    if (!/^\d+$/.test(tokensArg || "")) {
+      return `Invalid budget. ${usage}`;
+    }
+    budget = { period, tokens: parseInt(tokensArg, 10) };
+  }
+
+  const result = channelConfigModule.setBudget(ctx.channelId, budget);
+  if (!result.success) {
+    return `${result.error}\n${usage}`;
+  }
+  logger.info(
+    `[${ctx.channelId}]: budget set to ${budget ? formatBudget(budget) : "off"} by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "budget",
+    oldValue: result.previous,
+    newValue: budget,
+  });
+  return budget
+    ? `<#${ctx.channelId}> now has a budget of ${formatBudget(budget)}.`
+    : `<#${ctx.channelId}> no longer has a token budget.`;
+}
+
+function handleAmbientPolicy(ctx) {
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  const usage = `Usage: \`/dasilva ambient <${AMBIENT_POLICIES.join("|")}|default>\``;
+  const value = ctx.args.split(/\s+/)[1];
+  if (!value) {
+    const policy = getAmbientPolicy(ctx.channelId);
+    return `Ambient policy for <#${ctx.channelId}>: *${policy}*\n${AMBIENT_POLICY_DESCRIPTIONS[policy]}\n${usage}`;
+  }
+
+  const policy = value === "default" ? null : value;
+  const result = channelConfigModule.setAmbientPolicy(ctx.channelId, policy);
+  if (!result.success) {
+    return `${result.error}\n${usage}`;
+  }
+
+  const effective = policy || DEFAULT_AMBIENT_POLICY;
+  logger.info(
+    `[${ctx.channelId}]: ambient policy set to ${policy || "default"} by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "ambient",
+    oldValue: result.previous,
+    newValue: effective,
+  });
+  return `Ambient policy for <#${ctx.channelId}> is now *${effective}*${policy ? "" : " (default)"}.\n${AMBIENT_POLICY_DESCRIPTIONS[effective]}`;
+}
+
+function handleLanguages(ctx) {
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  const usage = `Usage: \`/dasilva languages <codes|default>\` (e.g. \`/dasilva languages en pt ja\`)\nAvailable: ${describeLanguages(LANGUAGE_CODES)}`;
+  const codes = ctx.args
+    .split(/[\s,]+/)
+    .slice(1)
+    .filter(Boolean);
+  if (codes.length === 0) {
+    return `Ambient mode recognises questions in <#${ctx.channelId}> written in: ${describeLanguages(getChannelLanguages(ctx.channelId))}\n${usage}`;
+  }
+
+  const languages = codes.length === 1 && codes[0] === "default" ? null : codes;
+  const result = channelConfigModule.setLanguages(ctx.channelId, languages);
+  if (!result.success) {
+    return `${result.error}\n${usage}`;
+  }
+
+  const effective = getChannelLanguages(ctx.channelId);
+  logger.info(
+    `[${ctx.channelId}]: languages set to ${languages ? effective.join(",") : "default"} by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "languages",
+    oldValue: result.previous.join(","),
+    newValue: effective.join(","),
+  });
+  return `Ambient mode in <#${ctx.channelId}> now recognises questions in: ${describeLanguages(effective)}${languages ? "" : " (default)"}.\nAnswers are given in the language of the question.`;
+}
+
 function handleAddVector(ctx) {
   const vectorId = ctx.originalText.trim().split(/\s+/)[1];
   if (!isValidVectorId(vectorId)) {
     return "Invalid vector store ID. Usage: `/dasilva addvector vs_xxxxx`";
   }
-  updateChannelPreference(ctx.channelId, {
-    vector_id: vectorId,
-  });
+  const before = getVectorIds(ctx.channelId);
+  const result = channelConfigModule.addVectorStore(ctx.channelId, vectorId);
+  if (!result.success) {
+    return `Failed to add vector store: ${result.error}`;
+  }
   logger.info(
     `[${ctx.channelId}]: vector store ${vectorId} added by admin ${ctx.userId}`,
   );
-  return `Vector store \`${vectorId}\` configured for <#${ctx.channelId}>.`;
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "addvector",
+    oldValue: before,
+    newValue: result.vectorIds,
+  });
+  return `Vector store \`${vectorId}\` attached to <#${ctx.channelId}> (${result.vectorIds.length} total).`;
 }
 
 function handleDropVector(ctx) {
-  const existed = deleteChannelPreference(ctx.channelId);
-  if (existed) {
+  const vectorId = ctx.originalText.trim().split(/\s+/)[1] || null;
+  if (vectorId && !isValidVectorId(vectorId)) {
+    return "Invalid vector store ID. Usage: `/dasilva dropvector [vs_xxxxx]`";
+  }
+  const before = getVectorIds(ctx.channelId);
+  const result = channelConfigModule.removeVectorStore(ctx.channelId, vectorId);
+  if (!result.success) {
+    return `${result.error} for <#${ctx.channelId}>.`;
+  }
+  logger.info(
+    `[${ctx.channelId}]: vector store ${vectorId || "(all)"} removed by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "dropvector",
+    oldValue: before,
+    newValue: result.vectorIds,
+  });
+  if (!vectorId) {
+    return `All vector stores removed from <#${ctx.channelId}>.`;
+  }
+  return `Vector store \`${vectorId}\` removed from <#${ctx.channelId}> (${result.vectorIds.length} remaining).`;
+}
+
+function formatSourceLinks(channelId) {
+  const vectorIds = getVectorIds(channelId);
+  if (vectorIds.length === 0) {
+    return `<#${channelId}> has no vector store. Use \`/dasilva addvector\` first.`;
+  }
+  return (
+    `*Source links for <#${channelId}>:*\n\n` +
+    vectorIds
+      .map((vectorId) => {
+        const links = Object.entries(getSourceLinks(vectorId));
+        const list =
+          links.length > 0
+            ? links
+                .map(([key, url]) => `\n  \u2022 \`${key}\` \u2192 ${url}`)
+                .join("")
+            : "\n  _No links_";
+        return `\`${vectorId}\`${list}`;
+      })
+      .join("\n\n")
+  );
+}
+
+function handleSourceLink(ctx) {
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  const usage =
+    "Usage: `/dasilva sourcelink add [vs_id] <url> <filename or file ID>`, `/dasilva sourcelink remove [vs_id] <filename or file ID>` or `/dasilva sourcelink list`";
+
+  // Filenames and URLs are case-sensitive, so parse the original text
+  const words = ctx.originalText.trim().split(/\s+/).slice(1);
+  const subcommand = (words.shift() || "list").toLowerCase();
+  if (subcommand === "list") {
+    return `${formatSourceLinks(ctx.channelId)}\n\n${usage}`;
+  }
+  if (subcommand !== "add" && subcommand !== "remove") {
+    return usage;
+  }
+
+  // The vector store can be left out when the channel has only one
+  const vectorIds = getVectorIds(ctx.channelId);
+  let vectorId = isValidVectorId(words[0]) ? words.shift() : null;
+  if (!vectorId) {
+    if (vectorIds.length !== 1) {
+      return `<#${ctx.channelId}> has ${vectorIds.length} vector stores, so name one: ${vectorIds.map((v) => `\`${v}\``).join(", ") || "none"}\n${usage}`;
+    }
+    vectorId = vectorIds[0];
+  }
+
+  // Slack may send links as <url> or <url|label>
+  const url =
+    subcommand === "add"
+      ? (words.shift() || "").replace(/^<([^|>]+)(\|[^>]*)?>$/, "$1")
+      : null;
+  const key = words.join(" ");
+  if (!key || (subcommand === "add" && !url)) {
+    return usage;
+  }
+
+  const result = channelConfigModule.setSourceLink(
+    ctx.channelId,
+    vectorId,
+    key,
+    url,
+    ctx.isAdmin,
+  );
+  if (!result.success) {
+    return `${result.error}\n${usage}`;
+  }
+  if (!url && !result.previous) {
+    return `\`${key}\` has no source link in \`${vectorId}\`.`;
+  }
+
+  logger.info(
+    `[${ctx.channelId}]: source link for ${key} in ${vectorId} ${url ? `set to ${url}` : "removed"} by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: ctx.channelId,
+    action: "sourcelink",
+    oldValue: result.previous && `${vectorId} ${key} ${result.previous}`,
+    newValue: url && `${vectorId} ${key} ${url}`,
+  });
+  return url
+    ? `Citations of \`${key}\` (\`${vectorId}\`) now link to ${url}.`
+    : `Source link for \`${key}\` (\`${vectorId}\`) removed.`;
+}
+
+function handleFaq(ctx) {
+  const [, subcommand = "list", idArg] = ctx.args.split(/\s+/);
+  const usage =
+    "Usage: `/dasilva faq add`, `/dasilva faq list` or `/dasilva faq remove <id>`";
+
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  if (subcommand === "list") {
+    return formatFaqList(ctx.channelId);
+  }
+
+  if (subcommand === "add") {
+    return { text: "Opening curated answer form...", action: "open_faq_modal" };
+  }
+
+  if (subcommand === "remove") {
+    const id = parseInt((idArg || "").replace(/^#/, ""), 10);
+    if (!id) return usage;
+
+    const result = channelConfigModule.removeFaq(ctx.channelId, id);
+    if (!result.success) {
+      return `${result.error} in <#${ctx.channelId}>. Use \`/dasilva faq list\` to see the IDs.`;
+    }
     logger.info(
-      `[${ctx.channelId}]: vector store removed by admin ${ctx.userId}`,
+      `[${ctx.channelId}]: curated answer #${id} removed by admin ${ctx.userId}`,
+    );
+    recordAudit({
+      actor: ctx.userId,
+      channelId: ctx.channelId,
+      action: "faq remove",
+      oldValue: result.previous,
+      newValue: result.previous.filter((faq) => faq.id !== id),
+    });
+    return `Curated answer #${id} removed from <#${ctx.channelId}>.`;
+  }
+
+  return usage;
+}
+
+function handlePurgeCache(ctx) {
+  // Purged after the slash command response via response_url
+  purgeChannelCache(ctx.channelId)
+    .then((deleted) => {
+      if (deleted !== null) {
+        logger.info(
+          `[${ctx.channelId}]: answer cache purged by admin ${ctx.userId}`,
+        );
+        recordAudit({
+          actor: ctx.userId,
+          channelId: ctx.channelId,
+          action: "purgecache",
+          oldValue: deleted,
+          newValue: 0,
+        });
+      }
+      return postToResponseUrl(ctx.responseUrl, {
+        response_type: "ephemeral",
+        replace_original: true,
+        text:
+          deleted === null
+            ? "The answer cache needs Redis, which is not available right now."
+            : `Removed ${deleted} cached ${deleted === 1 ? "answer" : "answers"} for <#${ctx.channelId}>.`,
+      });
+    })
+    .catch((error) => {
+      logger.error(`[${ctx.channelId}] error purging answer cache:`, error);
+    });
+
+  return "_Purging cached answers..._";
+}
+
+function handleIngest(ctx) {
+  const link = parseMessageLink(ctx.originalText);
+  if (!link) {
+    return "Usage: `/dasilva ingest <message link>` (use *Copy link* on the message that has the files).";
+  }
+  if (!channelConfigModule.channelExists(link.channel)) {
+    return `Channel <#${link.channel}> is not configured.`;
+  }
+  // Channel admins may only add documents to channels they administer
+  if (!ctx.isAdmin && !isChannelAdmin(ctx.userId, link.channel)) {
+    return `You must be an admin of <#${link.channel}> to add documents to it.`;
+  }
+
+  logger.info(
+    `[${link.channel}] (${link.ts}) ingest requested by admin ${ctx.userId}`,
+  );
+
+  // Runs after the slash command response; progress goes to the message thread
+  ingestMessageFiles(link, ctx.userId).catch((error) => {
+    logger.error(`[${link.channel}] error ingesting message files:`, error);
+  });
+
+  return "Adding the message's files to the knowledge base. I'll report progress in its thread.";
+}
+
+function handleAdmins(ctx) {
+  const [, subcommand = "list"] = ctx.args.split(/\s+/);
+
+  if (!channelConfigModule.channelExists(ctx.channelId)) {
+    return "This channel is not configured. Use `/dasilva subscribe` first.";
+  }
+
+  if (subcommand === "list") {
+    const admins = getChannelAdmins(ctx.channelId);
+    if (admins.length === 0) {
+      return `<#${ctx.channelId}> has no channel admins. Global admins always have access.`;
+    }
+    return (
+      `*Channel admins for <#${ctx.channelId}>:*\n` +
+      admins.map((id) => `\u2022 <@${id}>`).join("\n")
+    );
+  }
+
+  if (subcommand !== "add" && subcommand !== "remove") {
+    return "Usage: `/dasilva admins add|remove @user` or `/dasilva admins list`";
+  }
+
+  const userIds = parseUserIds(ctx.originalText);
+  if (userIds.length === 0) {
+    return `Mention the user to ${subcommand}, e.g. \`/dasilva admins ${subcommand} @jane\``;
+  }
+
+  return userIds
+    .map((userId) => {
+      const before = getChannelAdmins(ctx.channelId);
+      const result =
+        subcommand === "add"
+          ? channelConfigModule.addChannelAdmin(ctx.channelId, userId)
+          : channelConfigModule.removeChannelAdmin(ctx.channelId, userId);
+      if (!result.success) return result.error;
+
+      logger.info(
+        `[${ctx.channelId}]: channel admin ${userId} ${subcommand === "add" ? "added" : "removed"} by admin ${ctx.userId}`,
+      );
+      recordAudit({
+        actor: ctx.userId,
+        channelId: ctx.channelId,
+        action: `admins ${subcommand}`,
+        oldValue: before,
+        newValue: result.admins,
+      });
+      return subcommand === "add"
+        ? `<@${userId}> is now an admin of <#${ctx.channelId}>.`
+        : `<@${userId}> is no longer an admin of <#${ctx.channelId}>.`;
+    })
+    .join("\n");
+}
+
+function handleAudit(ctx) {
+  const args = ctx.originalText.trim().split(/\s+/).slice(1);
+  // A channel mention (<#C123|name>) or a bare public or private channel ID
+  const channelMatch = args
+    .map((arg) => arg.match(/^<#([CG][A-Z0-9]+)(\|[^>]*)?>$|^([CG][A-Z0-9]+)$/))
+    .find(Boolean);
+  const limitArg = args.find((arg) => /^\d+$/.test(arg));
+
+  let channelId = channelMatch ? channelMatch[1] || channelMatch[3] : null;
+  const limit = Math.min(parseInt(limitArg, 10) || 10, 50);
+
+  // Channel admins only see their own channel; global admins default to all
+  if (!ctx.isAdmin) {
+    if (channelId && !isChannelAdmin(ctx.userId, channelId)) {
+      return `You must be an admin of <#${channelId}> to view its audit log.`;
+    }
+    channelId ??= ctx.channelId;
+  }
+
+  const entries = getAuditEntries({ channelId, limit });
+  if (entries.length === 0) {
+    return channelId
+      ? `No audit entries for <#${channelId}>.`
+      : "No audit entries yet.";
+  }
+
+  const heading = channelId
+    ? `*Recent admin actions in <#${channelId}>:*`
+    : "*Recent admin actions:*";
+  return `${heading}\n\n${entries.map(formatAuditEntry).join("\n")}`;
+}
+
+function handleUsage(ctx) {
+  const daysArg = ctx.args.split(/\s+/)[1];
+  if (daysArg && !/^\d+$/.test(daysArg)) {
+    return "Usage: `/dasilva usage [days]` (1-90, default 7)";
+  }
+  const days = Math.min(Math.max(parseInt(daysArg, 10) || 7, 1), 90);
+
+  // Reported after the slash command response via response_url
+  getUsageReport(days)
+    .then((report) =>
+      postToResponseUrl(ctx.responseUrl, {
+        response_type: "ephemeral",
+        replace_original: true,
+        text: report
+          ? formatUsageReport(report)
+          : "Usage reporting needs Redis, which is not available right now.",
+      }),
+    )
+    .catch((error) => {
+      logger.error(`[${ctx.channelId}] error reporting usage:`, error);
+    });
+
+  return "_Calculating usage..._";
+}
+
+function handleExport(ctx) {
+  // Uploaded after the slash command response
+  exportConfigToUser(ctx.userId).catch((error) => {
+    logger.error(`Error exporting configuration for ${ctx.userId}:`, error);
+  });
+  return "Exporting configuration... I'll send the snapshot file to you in a direct message.";
+}
+
+function handleImport() {
+  return {
+    text: "Opening configuration import...",
+    action: "open_import_modal",
+  };
+}
+
+// Preferences that can be rolled back, as named in the command
+// kind -> { name, section in the preference file, what its entries are }
+const ROLLBACK_KINDS = {
+  channels: {
+    name: "channel preferences",
+    section: "channels",
+    entry: "channel",
+  },
+  users: { name: "user preferences", section: "users", entry: "user" },
+  sourcelinks: {
+    name: "source links",
+    section: "vectorStores",
+    entry: "vector store",
+  },
+};
+
+function formatSavedAt(date) {
+  return `<!date^${Math.floor(date.getTime() / 1000)}^{date_short_pretty} at {time}|${date.toISOString()}>`;
+}
+
+function handleRollback(ctx) {
+  const [, kind = "channels", numberArg] = ctx.args.split(/\s+/);
+  if (!ROLLBACK_KINDS[kind] || (numberArg && !/^\d+$/.test(numberArg))) {
+    return "Usage: `/dasilva rollback [channels|users|sourcelinks]` to list saved versions, `/dasilva rollback channels|users|sourcelinks <n>` to restore one";
+  }
+  const { name, section, entry } = ROLLBACK_KINDS[kind];
+
+  if (!numberArg) {
+    const versions = listPreferenceVersions(kind);
+    if (versions === null) {
+      return "Rollback needs the file preference backend (`PREFERENCES_BACKEND=file`).";
+    }
+    if (versions.length === 0) {
+      return `No saved versions of ${name} yet.`;
+    }
+    return (
+      `*Saved versions of ${name}* (newest first):\n` +
+      versions
+        .map(
+          (version) =>
+            `${version.number}. ${formatSavedAt(version.savedAt)} - ${version.entries === null ? "unreadable" : `${version.entries} ${entry}${version.entries === 1 ? "" : "s"}`}`,
+        )
+        .join("\n") +
+      `\n\nRestore one with \`/dasilva rollback ${kind} <n>\`. The current ${name} are saved as a version first, so a rollback can be undone.`
     );
-    return `Vector store removed from <#${ctx.channelId}>.`;
   }
-  return `No vector store configured for <#${ctx.channelId}>.`;
+
+  const result = rollbackPreferences(kind, parseInt(numberArg, 10));
+  if (!result.success) {
+    return `Rollback failed: ${result.error}`;
+  }
+
+  logger.info(
+    `${name} rolled back to ${result.savedAt.toISOString()} by admin ${ctx.userId}`,
+  );
+  recordAudit({
+    actor: ctx.userId,
+    channelId: null,
+    action: `rollback ${kind}`,
+    oldValue: result.previous[section],
+    newValue: result.current[section],
+  });
+  return `Restored ${name} saved ${formatSavedAt(result.savedAt)}.`;
 }
 
 function handleListVector() {
   const allPrefs = getAllChannelPreferences();
-  const entries = Object.entries(allPrefs).filter(([, pref]) => pref.vector_id);
+  const entries = Object.entries(allPrefs).filter(
+    ([, pref]) => pref.vector_ids?.length > 0,
+  );
   if (entries.length === 0) {
     return "No vector stores configured for any channel.";
   }
   return (
     "*Vector Store Configuration:*\n\n" +
     entries
-      .map(([id, pref]) => `\u2022 <#${id}> (\`${id}\`): \`${pref.vector_id}\``)
+      .map(
+        ([id, pref]) =>
+          `\u2022 <#${id}> (\`${id}\`): ${pref.vector_ids.map((v) => `\`${v}\``).join(", ")}`,
+      )
       .join("\n")
   );
 }
@@ -193,12 +999,30 @@ const commands = {
   silence: handleSilence,
   unsilence: handleUnsilence,
   cooldown: handleCooldown,
-  subscribe: adminOnly(handleSubscribe),
+  ask: handleAskCommand,
+  subscribe: globalAdminOnly(handleSubscribe),
   leave: adminOnly(handleLeave),
-  channels: adminOnly(handleChannels),
+  channels: globalAdminOnly(handleChannels),
   addvector: adminOnly(handleAddVector),
   dropvector: adminOnly(handleDropVector),
-  listvector: adminOnly(handleListVector),
+  listvector: globalAdminOnly(handleListVector),
+  admins: globalAdminOnly(handleAdmins),
+  audit: adminOnly(handleAudit),
+  usage: globalAdminOnly(handleUsage),
+  export: globalAdminOnly(handleExport),
+  import: globalAdminOnly(handleImport),
+  rollback: globalAdminOnly(handleRollback),
+  instructions: adminOnly(handleInstructions),
+  ambient: adminOnly(handleAmbientPolicy),
+  languages: adminOnly(handleLanguages),
+  model: adminOnly(handleModel),
+  maxtokens: adminOnly(handleMaxTokens),
+  threshold: adminOnly(handleThreshold),
+  budget: adminOnly(handleBudget),
+  ingest: adminOnly(handleIngest),
+  purgecache: adminOnly(handlePurgeCache),
+  faq: adminOnly(handleFaq),
+  sourcelink: adminOnly(handleSourceLink),
 };
 
 function dispatch(ctx) {
@@ -0,0 +1,135 @@
+/**
+ * Offline configuration export/import for DaSilva
+ * Reads and writes the same preferences as the bot (files under
+ * PERSISTENT_STORAGE, or Redis when PREFERENCES_BACKEND=redis)
+ *
+ * Usage:
+ *   node config-cli.js export [file]        Write a snapshot (default: dasilva-config-<date>.json)
+ *   node config-cli.js import <file> [--yes] Validate, show the diff and apply after confirmation
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const readline = require("readline");
+const {
+  getAllChannelPreferences,
+  initPreferences,
+  flushPreferences,
+} = require("./utils-preferences");
+const { initializeRedis, closeRedis } = require("./utils-redis");
+const { PREFERENCES_BACKEND } = require("./utils-variables");
+const configModule = require("./utils-config");
+const { recordAudit } = require("./utils-audit");
+
+const USAGE = `Usage:
+  node config-cli.js export [file]
+  node config-cli.js import <file> [--yes]`;
+
+function ask(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+function exportConfig(file) {
+  const snapshot = configModule.buildSnapshot();
+  const target = file || configModule.snapshotFilename(snapshot);
+  fs.writeFileSync(target, configModule.serializeSnapshot(snapshot), "utf8");
+  console.log(
+    `Exported ${Object.keys(snapshot.channels).length} channels to ${target}`,
+  );
+}
+
+async function importConfig(file, assumeYes) {
+  if (!file) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const parsed = configModule.parseSnapshot(fs.readFileSync(file, "utf8"));
+  if (!parsed.success) {
+    console.error(`${file} is not a valid snapshot:`);
+    parsed.errors.forEach((error) => console.error(`  - ${error}`));
+    return 1;
+  }
+
+  const diff = configModule.diffSnapshot(
+    getAllChannelPreferences(),
+    parsed.snapshot,
+  );
+  console.log(configModule.formatDiff(diff, { plain: true }));
+
+  if (!configModule.hasChanges(diff)) {
+    console.log("Nothing to import.");
+    return 0;
+  }
+
+  if (!assumeYes) {
+    const answer = await ask(
+      "\nReplace the configuration of every channel with this snapshot? [y/N] ",
+    );
+    if (!/^y(es)?$/i.test(answer.trim())) {
+      console.log("Import cancelled.");
+      return 1;
+    }
+  }
+
+  const { previous, current } = configModule.applySnapshot(parsed.snapshot);
+  recordAudit({
+    actor: "config-cli",
+    channelId: null,
+    action: "import",
+    oldValue: previous,
+    newValue: current,
+  });
+  console.log(
+    `Imported ${Object.keys(current.channels).length} channels from ${file}`,
+  );
+  return 0;
+}
+
+async function run(command, file, flags) {
+  if (command === "export") {
+    exportConfig(file);
+    return 0;
+  }
+  if (command === "import") {
+    return importConfig(file, flags.includes("--yes"));
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+async function main() {
+  const [command, file, ...flags] = process.argv.slice(2);
+
+  if (PREFERENCES_BACKEND !== "redis") {
+    return run(command, file, flags);
+  }
+
+  await initializeRedis();
+  try {
+    await initPreferences();
+    return await run(command, file, flags);
+  } finally {
+    await flushPreferences();
+    await closeRedis();
+  }
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error("Error:", error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,78 @@
+/**
+ * One-shot migration of preference files into Redis
+ * Copies user-preferences.json, channel-preferences.json and source-links.json
+ * from PERSISTENT_STORAGE into the Redis backend used with
+ * PREFERENCES_BACKEND=redis
+ *
+ * Usage:
+ *   node migrate-preferences.js [--force]   Skips preferences already in Redis unless --force
+ *
+ * Stop the bot (or keep it on the file backend) while migrating, then set
+ * PREFERENCES_BACKEND=redis and restart.
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { initializeRedis, closeRedis } = require("./utils-redis");
+const { RedisPreferenceStorage } = require("./utils-storage");
+
+const STORAGE_BASE = process.env.PERSISTENT_STORAGE || __dirname;
+
+// Same files and sections as the managers in utils-preferences.js
+const PREFERENCE_FILES = [
+  { filename: "user-preferences.json", section: "users" },
+  { filename: "channel-preferences.json", section: "channels" },
+  { filename: "source-links.json", section: "vectorStores" },
+];
+
+async function migrateFile({ filename, section }, force) {
+  const file = path.join(STORAGE_BASE, filename);
+  if (!fs.existsSync(file)) {
+    console.log(`${filename}: not found in ${STORAGE_BASE}, skipped`);
+    return true;
+  }
+
+  const preferences = JSON.parse(fs.readFileSync(file, "utf8"));
+  const storage = new RedisPreferenceStorage(filename, { [section]: {} });
+  await storage.init();
+
+  if (storage.exists() && !force) {
+    console.log(
+      `${filename}: ${storage.key} already exists, skipped (use --force to replace it)`,
+    );
+    await storage.close();
+    return false;
+  }
+
+  storage.write(preferences);
+  await storage.close();
+
+  const count = Object.keys(preferences[section] || {}).length;
+  console.log(`${filename}: copied ${count} ${section} to ${storage.key}`);
+  return true;
+}
+
+async function main() {
+  const force = process.argv.slice(2).includes("--force");
+
+  await initializeRedis();
+  try {
+    let complete = true;
+    for (const preferenceFile of PREFERENCE_FILES) {
+      complete = (await migrateFile(preferenceFile, force)) && complete;
+    }
+    return complete ? 0 : 1;
+  } finally {
+    await closeRedis();
+  }
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error("Error:", error.message);
+    process.exitCode = 1;
+  });
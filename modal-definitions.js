@@ -148,7 +148,299 @@ function feedbackModal(channel, messageTs) {
   };
 }
 
+// view, edit or reset channel-specific system instructions
+function instructionsModal(channelId, currentInstructions, isCustom) {
+  const instructionsInput = {
+    type: "plain_text_input",
+    action_id: "instructions_input",
+    multiline: true,
+    max_length: 3000,
+    placeholder: {
+      type: "plain_text",
+      text: "System instructions for this channel...",
+    },
+  };
+
+  // Slack rejects an initial value longer than max_length
+  if (currentInstructions && currentInstructions.length <= 3000) {
+    instructionsInput.initial_value = currentInstructions;
+  }
+
+  return {
+    type: "modal",
+    callback_id: "instructions_modal",
+    private_metadata: channelId,
+    title: {
+      type: "plain_text",
+      text: "Channel Instructions",
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save",
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel",
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: isCustom
+            ? `<#${channelId}> is using *custom instructions*.`
+            : `<#${channelId}> is using the *global* \`instructions.md\`. Saving edited instructions below will create custom instructions for this channel only.`,
+        },
+      },
+      {
+        type: "input",
+        block_id: "instructions_block",
+        optional: true,
+        label: {
+          type: "plain_text",
+          text: "Instructions",
+        },
+        element: instructionsInput,
+      },
+      {
+        type: "input",
+        block_id: "reset_block",
+        optional: true,
+        label: {
+          type: "plain_text",
+          text: "Reset",
+        },
+        element: {
+          type: "checkboxes",
+          action_id: "reset_input",
+          options: [
+            {
+              text: {
+                type: "plain_text",
+                text: "Reset to global instructions",
+              },
+              value: "reset",
+            },
+          ],
+        },
+      },
+    ],
+  };
+}
+
+// attach a vector store to a channel (from the App Home tab)
+function addVectorModal(channelId) {
+  return {
+    type: "modal",
+    callback_id: "add_vector_modal",
+    private_metadata: channelId,
+    title: {
+      type: "plain_text",
+      text: "Add Vector Store",
+    },
+    submit: {
+      type: "plain_text",
+      text: "Add",
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel",
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Attach an OpenAI vector store to <#${channelId}>. All attached stores are searched together.`,
+        },
+      },
+      {
+        type: "input",
+        block_id: "vector_block",
+        label: {
+          type: "plain_text",
+          text: "Vector store ID",
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "vector_input",
+          placeholder: {
+            type: "plain_text",
+            text: "vs_xxxxx",
+          },
+        },
+      },
+    ],
+  };
+}
+
+// upload a configuration snapshot to import
+function importConfigModal() {
+  return {
+    type: "modal",
+    callback_id: "import_config_modal",
+    title: {
+      type: "plain_text",
+      text: "Import Configuration",
+    },
+    submit: {
+      type: "plain_text",
+      text: "Review",
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel",
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: "Upload a snapshot created with `/dasilva export` (or `node config-cli.js export`). You'll see what changes before anything is applied.",
+        },
+      },
+      {
+        type: "input",
+        block_id: "import_file_block",
+        label: {
+          type: "plain_text",
+          text: "Snapshot file",
+        },
+        element: {
+          type: "file_input",
+          action_id: "import_file_input",
+          filetypes: ["json"],
+          max_files: 1,
+        },
+      },
+    ],
+  };
+}
+
+// review the import diff before applying it
+function importConfirmModal(token, summary, hasChanges) {
+  const view = {
+    type: "modal",
+    callback_id: "import_confirm_modal",
+    private_metadata: token,
+    title: {
+      type: "plain_text",
+      text: "Confirm Import",
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel",
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: summary,
+        },
+      },
+    ],
+  };
+
+  if (hasChanges) {
+    view.submit = {
+      type: "plain_text",
+      text: "Import",
+    };
+    view.blocks.push(
+      {
+        type: "divider",
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "*Import replaces the configuration of every channel.* Channels missing from the snapshot are unsubscribed.",
+          },
+        ],
+      },
+    );
+  }
+
+  return view;
+}
+
+// add a curated FAQ answer to a channel
+function faqModal(channelId) {
+  return {
+    type: "modal",
+    callback_id: "faq_modal",
+    private_metadata: channelId,
+    title: {
+      type: "plain_text",
+      text: "Add Curated Answer",
+    },
+    submit: {
+      type: "plain_text",
+      text: "Save",
+    },
+    close: {
+      type: "plain_text",
+      text: "Cancel",
+    },
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `Questions in <#${channelId}> that contain one of the trigger phrases get this answer instead of a generated one.`,
+        },
+      },
+      {
+        type: "input",
+        block_id: "faq_triggers_block",
+        label: {
+          type: "plain_text",
+          text: "Trigger phrases (one per line)",
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "faq_triggers_input",
+          multiline: true,
+          placeholder: {
+            type: "plain_text",
+            text: "sandbox tenant\nget a sandbox",
+          },
+        },
+        hint: {
+          type: "plain_text",
+          text: "Matching ignores case and punctuation",
+        },
+      },
+      {
+        type: "input",
+        block_id: "faq_answer_block",
+        label: {
+          type: "plain_text",
+          text: "Answer",
+        },
+        element: {
+          type: "plain_text_input",
+          action_id: "faq_answer_input",
+          multiline: true,
+          max_length: 2500,
+          placeholder: {
+            type: "plain_text",
+            text: "The approved answer (Slack formatting is supported)",
+          },
+        },
+      },
+    ],
+  };
+}
+
 module.exports = {
   leaveChannelModal,
   feedbackModal,
+  instructionsModal,
+  addVectorModal,
+  importConfigModal,
+  importConfirmModal,
+  faqModal,
 };
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("./utils-logger");
+const { postMessage } = require("./utils-slack");
+const { AUDIT_CHANNEL } = require("./utils-variables");
+
+// ============================================================================
+// AUDIT LOG (append-only JSON lines file)
+// ============================================================================
+
+const STORAGE_BASE = process.env.PERSISTENT_STORAGE || __dirname;
+const AUDIT_FILE = path.join(STORAGE_BASE, "audit-log.jsonl");
+
+// Keep posted values short; the file always has the full value
+const MAX_POSTED_VALUE_LENGTH = 300;
+
+/**
+ * Format a value for display (JSON, truncated)
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return "_none_";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > MAX_POSTED_VALUE_LENGTH
+    ? `\`${text.substring(0, MAX_POSTED_VALUE_LENGTH)}...\``
+    : `\`${text}\``;
+}
+
+/**
+ * Format an audit entry as a single Slack mrkdwn line
+ */
+function formatAuditEntry(entry) {
+  const when = entry.timestamp.replace("T", " ").replace(/\.\d+Z$/, " UTC");
+  const where = entry.channel ? ` in <#${entry.channel}>` : "";
+  return `• ${when} <@${entry.actor}> *${entry.action}*${where}: ${formatValue(entry.old)} → ${formatValue(entry.new)}`;
+}
+
+/**
+ * Record an admin mutation in the audit log
+ * Appends to audit-log.jsonl under PERSISTENT_STORAGE and, if AUDIT_CHANNEL
+ * is set, posts the entry there. Never throws: auditing must not block the
+ * action itself.
+ * @param {Object} params - { actor, channelId, action, oldValue, newValue }
+ * @returns {Object} The audit entry
+ */
+function recordAudit({
+  actor,
+  channelId,
+  action,
+  oldValue = null,
+  newValue = null,
+}) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    actor,
+    channel: channelId || null,
+    action,
+    old: oldValue,
+    new: newValue,
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + "\n", "utf8");
+  } catch (error) {
+    logger.error("Error writing audit log:", error.message);
+  }
+
+  if (AUDIT_CHANNEL) {
+    postMessage(AUDIT_CHANNEL, `:scroll: ${formatAuditEntry(entry)}`, {
+      unfurl_links: false,
+    }).catch((error) => {
+      logger.error(
+        `Failed to post audit entry to ${AUDIT_CHANNEL}:`,
+        error.message,
+      );
+    });
+  }
+
+  return entry;
+}
+
+/**
+ * Get the most recent audit entries, newest first
+ * @param {Object} options - { channelId (null for all), limit }
+ * @returns {Array} Audit entries
+ */
+function getAuditEntries({ channelId = null, limit = 10 } = {}) {
+  if (!fs.existsSync(AUDIT_FILE)) return [];
+
+  let lines;
+  try {
+    lines = fs.readFileSync(AUDIT_FILE, "utf8").split("\n");
+  } catch (error) {
+    logger.error("Error reading audit log:", error.message);
+    return [];
+  }
+
+  const entries = [];
+  for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+    if (!lines[i].trim()) continue;
+    try {
+      const entry = JSON.parse(lines[i]);
+      if (!channelId || entry.channel === channelId) {
+        entries.push(entry);
+      }
+    } catch (error) {
+      logger.warn("Skipping malformed audit log line");
+    }
+  }
+
+  return entries;
+}
+
+module.exports = {
+  recordAudit,
+  getAuditEntries,
+  formatAuditEntry,
+};
@@ -0,0 +1,178 @@
+const logger = require("./utils-logger");
+const { getRedisClient, buildKey } = require("./utils-redis");
+const { getChannelBudget, getChannelAdmins } = require("./utils-preferences");
+const { postMessage } = require("./utils-slack");
+const {
+  GLOBAL_ADMINS,
+  BUDGET_WARNING_PERCENT,
+  BUDGET_AMBIENT_CUTOFF_PERCENT,
+} = require("./utils-variables");
+
+// ============================================================================
+// TOKEN BUDGETS (Redis-backed, one counter per channel and period)
+// ============================================================================
+
+// Keep counters a little past the end of their period for reporting
+const BUDGET_KEY_GRACE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Current period of a budget (UTC)
+ * @returns {Object} { id: "2024-05-01" | "2024-05", resetsAt: Date }
+ */
+function getPeriod(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (period === "monthly") {
+    return {
+      id: now.toISOString().substring(0, 7),
+      resetsAt: new Date(Date.UTC(year, month + 1, 1)),
+    };
+  }
+  return {
+    id: now.toISOString().substring(0, 10),
+    resetsAt: new Date(Date.UTC(year, month, now.getUTCDate() + 1)),
+  };
+}
+
+/**
+ * Get a channel's budget and how much of it is used
+ * Returns null if the channel has no budget or Redis is unavailable
+ * @returns {Promise<Object|null>} { period, tokens, used, percent, resetsAt }
+ */
+async function getBudgetStatus(channelId) {
+  const budget = getChannelBudget(channelId);
+  if (!budget) return null;
+
+  const redis = getRedisClient();
+
+  // Graceful degradation: without Redis budgets can't be enforced
+  if (!redis) {
+    logger.warn(`[${channelId}] Redis unavailable, budget not enforced`);
+    return null;
+  }
+
+  const { id, resetsAt } = getPeriod(budget.period);
+
+  try {
+    const used =
+      parseInt(await redis.get(buildKey("budget", channelId, id)), 10) || 0;
+    return {
+      period: budget.period,
+      tokens: budget.tokens,
+      used,
+      percent: (used / budget.tokens) * 100,
+      resetsAt,
+    };
+  } catch (error) {
+    logger.error(`[${channelId}] Error reading budget:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Check if the channel still has budget for ambient answers
+ * Ambient answers stop at BUDGET_AMBIENT_CUTOFF_PERCENT so the rest is kept
+ * for @mentions
+ */
+async function isAmbientWithinBudget(channelId) {
+  const status = await getBudgetStatus(channelId);
+  return !status || status.percent < BUDGET_AMBIENT_CUTOFF_PERCENT;
+}
+
+/**
+ * Check if the channel has any budget left (for @mentions, asks and DMs)
+ * @returns {Promise<Object|null>} null if allowed, otherwise the budget status
+ */
+async function getExhaustedBudget(channelId) {
+  const status = await getBudgetStatus(channelId);
+  return status && status.percent >= 100 ? status : null;
+}
+
+/**
+ * Polite reply for a channel whose budget is used up
+ */
+function budgetExhaustedMessage(channelId, status) {
+  const resetsAt = Math.floor(status.resetsAt.getTime() / 1000);
+  const fallback = status.resetsAt.toISOString().replace(/\.\d+Z$/, " UTC");
+  return `Sorry, <#${channelId}> has used its ${status.period} answer budget, so I can't answer right now. It resets <!date^${resetsAt}^{date_short_pretty} at {time}|${fallback}>.`;
+}
+
+/**
+ * DM the channel's admins (and global admins) that the budget is running out
+ */
+async function warnAdmins(channelId, status) {
+  const recipients = [
+    ...new Set([...getChannelAdmins(channelId), ...GLOBAL_ADMINS]),
+  ];
+  const text = `:warning: <#${channelId}> has used ${Math.floor(status.percent)}% of its ${status.period} token budget (${status.used.toLocaleString("en-US")} of ${status.tokens.toLocaleString("en-US")}). Ambient answers stop at ${BUDGET_AMBIENT_CUTOFF_PERCENT}% and @mentions at 100%. Change it with \`/dasilva budget\`.`;
+
+  for (const userId of recipients) {
+    try {
+      await postMessage(userId, text);
+    } catch (error) {
+      logger.error(
+        `[${channelId}] Failed to send budget warning to ${userId}:`,
+        error.message,
+      );
+    }
+  }
+  logger.info(
+    `[${channelId}] budget warning sent to ${recipients.length} admins`,
+  );
+}
+
+/**
+ * Count an OpenAI response against the channel's budget
+ * Sends the warning DM once per period when usage crosses BUDGET_WARNING_PERCENT
+ * Never throws: accounting must not break answering
+ */
+async function recordBudgetUsage(channelId, response) {
+  const budget = getChannelBudget(channelId);
+  const tokens = response?.usage?.total_tokens;
+  if (!budget || !tokens) return;
+
+  const redis = getRedisClient();
+  if (!redis) return;
+
+  const { id, resetsAt } = getPeriod(budget.period);
+  const expireAt =
+    Math.floor(resetsAt.getTime() / 1000) + BUDGET_KEY_GRACE_SECONDS;
+
+  try {
+    const key = buildKey("budget", channelId, id);
+    const [used] = await redis
+      .multi()
+      .incrBy(key, tokens)
+      .expireAt(key, expireAt)
+      .exec();
+
+    const percent = (used / budget.tokens) * 100;
+    if (percent < BUDGET_WARNING_PERCENT) return;
+
+    // Only the first response over the threshold sends the warning
+    const warned = await redis.set(
+      buildKey("budget-warned", channelId, id),
+      Date.now().toString(),
+      { NX: true, EXAT: expireAt },
+    );
+    if (warned) {
+      await warnAdmins(channelId, {
+        period: budget.period,
+        tokens: budget.tokens,
+        used,
+        percent,
+      });
+    }
+  } catch (error) {
+    logger.error(`[${channelId}] Error recording budget usage:`, error.message);
+  }
+}
+
+module.exports = {
+  getBudgetStatus,
+  isAmbientWithinBudget,
+  getExhaustedBudget,
+  budgetExhaustedMessage,
+  recordBudgetUsage,
+};
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const logger = require("./utils-logger");
+const { getRedisClient, buildKey } = require("./utils-redis");
+const {
+  callOpenAI,
+  streamOpenAI,
+  loadInstructions,
+  getEffectiveModel,
+  summarizeRetrieval,
+  extractCitations,
+} = require("./utils-openai");
+const { ANSWER_CACHE_TTL_SECONDS } = require("./utils-variables");
+
+// ============================================================================
+// ANSWER CACHE (Redis-backed, thread-less questions only)
+// ============================================================================
+
+// Bump when cached entries gain fields, so older entries are not read
+const CACHE_FORMAT_VERSION = 3;
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Normalize a question so trivial differences share a cache entry
+ * (case, mentions, whitespace and trailing punctuation)
+ */
+function normalizeQuestion(text) {
+  return text
+    .replace(/<@[A-Z0-9]+>/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[\s?!.]+$/, "")
+    .trim();
+}
+
+/**
+ * Cache key for a question in a channel
+ * Changing the vector stores, instructions or model makes a new key
+ */
+function buildCacheKey(channelId, text, vectorIds, overrides = {}) {
+  const instructions = overrides.instructions || loadInstructions();
+  const fingerprint = JSON.stringify([
+    CACHE_FORMAT_VERSION,
+    normalizeQuestion(text),
+    [...vectorIds].sort(),
+    sha256(instructions),
+    getEffectiveModel(overrides.model),
+  ]);
+  return buildKey("answer", channelId, sha256(fingerprint));
+}
+
+/**
+ * Call OpenAI, answering repeated thread-less questions from the cache
+ * Same arguments as callOpenAI plus the channel; cached responses have
+ * `cached: true`, no usage (they cost nothing), the file_search scores as
+ * `retrieval` and the citations as `citations` (see utils-openai.js)
+ * @param {Function} [onText] - Stream the answer (see streamOpenAI); not
+ *   called for cache hits
+ * @returns {Promise<Object>} OpenAI response (or cached equivalent)
+ */
+async function callOpenAIWithCache(
+  channelId,
+  text,
+  vectorIds,
+  threadHistory = [],
+  overrides = {},
+  onText = null,
+) {
+  const call = () =>
+    onText
+      ? streamOpenAI(text, vectorIds, threadHistory, overrides, onText)
+      : callOpenAI(text, vectorIds, threadHistory, overrides);
+
+  // Thread history changes the answer, so only standalone questions are cached
+  const redis = ANSWER_CACHE_TTL_SECONDS > 0 ? getRedisClient() : null;
+  if (!redis || threadHistory.length > 0) {
+    return call();
+  }
+
+  const key = buildCacheKey(channelId, text, vectorIds, overrides);
+
+  try {
+    const cached = await redis.get(key);
+    if (cached) {
+      logger.info(`[${channelId}] answer cache hit`);
+      return { ...JSON.parse(cached), cached: true };
+    }
+  } catch (error) {
+    logger.error(`[${channelId}] Error reading answer cache:`, error.message);
+  }
+
+  const response = await call();
+
+  // Don't cache empty or truncated answers
+  if (response?.status === "completed" && response.output_text?.trim()) {
+    try {
+      await redis.set(
+        key,
+        JSON.stringify({
+          id: response.id,
+          model: response.model,
+          status: response.status,
+          output_text: response.output_text,
+          retrieval: summarizeRetrieval(response),
+          citations: extractCitations(response),
+          cachedAt: new Date().toISOString(),
+        }),
+        { EX: ANSWER_CACHE_TTL_SECONDS },
+      );
+    } catch (error) {
+      logger.error(`[${channelId}] Error writing answer cache:`, error.message);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Delete every cached answer for a channel (e.g. after its docs change)
+ * @returns {Promise<number|null>} Entries deleted, or null if Redis is unavailable
+ */
+async function purgeChannelCache(channelId) {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  let deleted = 0;
+  for await (const key of redis.scanIterator({
+    MATCH: buildKey("answer", channelId, "*"),
+    COUNT: 100,
+  })) {
+    deleted += await redis.del(key);
+  }
+
+  logger.info(`[${channelId}] answer cache purged (${deleted} entries)`);
+  return deleted;
+}
+
+module.exports = {
+  normalizeQuestion,
+  callOpenAIWithCache,
+  purgeChannelCache,
+};
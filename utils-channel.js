@@ -2,9 +2,31 @@ const logger = require("./utils-logger");
 const {
   isChannelSubscribed,
   getAllChannelPreferences,
+  getVectorIds,
+  getChannelAdmins,
+  getChannelModel,
+  getChannelMaxOutputTokens,
+  getAmbientPolicy,
+  getChannelLanguages,
+  getChannelRetrievalThreshold,
+  getChannelBudget,
+  getChannelFaqs,
   updateChannelPreference,
   deleteChannelPreference,
+  updateSourceLink,
 } = require("./utils-preferences");
+const {
+  isAllowedModel,
+  isValidMaxOutputTokens,
+  isValidRetrievalThreshold,
+} = require("./utils-openai");
+const { LANGUAGE_CODES, isLanguageCode } = require("./utils-language");
+const {
+  ALLOWED_MODELS,
+  MAX_OUTPUT_TOKENS_LIMIT,
+  AMBIENT_POLICIES,
+  BUDGET_PERIODS,
+} = require("./utils-variables");
 
 /**
  * Check if a channel exists (is subscribed)
@@ -94,10 +116,302 @@ function leave(channelId) {
   }
 }
 
+/**
+ * Attach a vector store to a channel (appends to existing stores)
+ * Returns { success: boolean, error?: string, vectorIds?: string[] }
+ */
+function addVectorStore(channelId, vectorId) {
+  const vectorIds = getVectorIds(channelId);
+
+  if (vectorIds.includes(vectorId)) {
+    return {
+      success: false,
+      error: `Vector store ${vectorId} is already attached`,
+    };
+  }
+
+  const updated = [...vectorIds, vectorId];
+  updateChannelPreference(channelId, { vector_ids: updated });
+  return { success: true, vectorIds: updated };
+}
+
+/**
+ * Detach a single vector store from a channel, or all stores when
+ * vectorId is omitted. The channel subscription is kept.
+ * Returns { success: boolean, error?: string, vectorIds?: string[] }
+ */
+function removeVectorStore(channelId, vectorId = null) {
+  const vectorIds = getVectorIds(channelId);
+
+  if (vectorIds.length === 0) {
+    return { success: false, error: "No vector stores configured" };
+  }
+
+  if (vectorId && !vectorIds.includes(vectorId)) {
+    return {
+      success: false,
+      error: `Vector store ${vectorId} is not attached`,
+    };
+  }
+
+  const updated = vectorId ? vectorIds.filter((id) => id !== vectorId) : [];
+  updateChannelPreference(channelId, { vector_ids: updated });
+  return { success: true, vectorIds: updated };
+}
+
+/**
+ * Grant a user admin rights for a single channel
+ * Returns { success: boolean, error?: string, admins?: string[] }
+ */
+function addChannelAdmin(channelId, userId) {
+  const admins = getChannelAdmins(channelId);
+
+  if (admins.includes(userId)) {
+    return { success: false, error: `<@${userId}> is already a channel admin` };
+  }
+
+  const updated = [...admins, userId];
+  updateChannelPreference(channelId, { admins: updated });
+  return { success: true, admins: updated };
+}
+
+/**
+ * Revoke a user's admin rights for a single channel
+ * Returns { success: boolean, error?: string, admins?: string[] }
+ */
+function removeChannelAdmin(channelId, userId) {
+  const admins = getChannelAdmins(channelId);
+
+  if (!admins.includes(userId)) {
+    return { success: false, error: `<@${userId}> is not a channel admin` };
+  }
+
+  const updated = admins.filter((id) => id !== userId);
+  updateChannelPreference(channelId, { admins: updated });
+  return { success: true, admins: updated };
+}
+
+/**
+ * Set (or clear with null) the OpenAI model a channel uses
+ * Returns { success: boolean, error?: string, previous?: string|null }
+ */
+function setModel(channelId, model) {
+  if (model !== null && !isAllowedModel(model)) {
+    return {
+      success: false,
+      error: `\`${model}\` is not an allowed model. Allowed: ${ALLOWED_MODELS.map((m) => `\`${m}\``).join(", ")}`,
+    };
+  }
+
+  const previous = getChannelModel(channelId);
+  updateChannelPreference(channelId, { model });
+  return { success: true, previous };
+}
+
+/**
+ * Set (or clear with null) the max output tokens for a channel
+ * Returns { success: boolean, error?: string, previous?: number|null }
+ */
+function setMaxOutputTokens(channelId, tokens) {
+  if (tokens !== null && !isValidMaxOutputTokens(tokens)) {
+    return {
+      success: false,
+      error: `Max output tokens must be between 1 and ${MAX_OUTPUT_TOKENS_LIMIT}`,
+    };
+  }
+
+  const previous = getChannelMaxOutputTokens(channelId);
+  updateChannelPreference(channelId, { max_output_tokens: tokens });
+  return { success: true, previous };
+}
+
+/**
+ * Set (or clear with null) a channel's ambient reply policy
+ * Returns { success: boolean, error?: string, previous?: string }
+ */
+function setAmbientPolicy(channelId, policy) {
+  if (policy !== null && !AMBIENT_POLICIES.includes(policy)) {
+    return {
+      success: false,
+      error: `Ambient policy must be one of: ${AMBIENT_POLICIES.map((p) => `\`${p}\``).join(", ")}`,
+    };
+  }
+
+  const previous = getAmbientPolicy(channelId);
+  updateChannelPreference(channelId, { ambient_mode: policy });
+  return { success: true, previous };
+}
+
+/**
+ * Set (or clear with null) the language packs a channel uses to spot
+ * questions and chatter
+ * Returns { success: boolean, error?: string, previous?: string[] }
+ */
+function setLanguages(channelId, languages) {
+  if (
+    languages !== null &&
+    (languages.length === 0 || !languages.every(isLanguageCode))
+  ) {
+    return {
+      success: false,
+      error: `Languages must be one or more of: ${LANGUAGE_CODES.map((code) => `\`${code}\``).join(", ")}`,
+    };
+  }
+
+  const previous = getChannelLanguages(channelId);
+  updateChannelPreference(channelId, {
+    languages: languages && [...new Set(languages)],
+  });
+  return { success: true, previous };
+}
+
+/**
+ * Set (or clear with null) the minimum file_search relevance score for
+ * answers in a channel
+ * Returns { success: boolean, error?: string, previous?: number }
+ */
+function setRetrievalThreshold(channelId, threshold) {
+  if (threshold !== null && !isValidRetrievalThreshold(threshold)) {
+    return {
+      success: false,
+      error: "Threshold must be a number from 0 to 1",
+    };
+  }
+
+  const previous = getChannelRetrievalThreshold(channelId);
+  updateChannelPreference(channelId, { retrieval_threshold: threshold });
+  return { success: true, previous };
+}
+
+/**
+ * Set (or clear with null) a channel's token budget
+ * Returns { success: boolean, error?: string, previous?: Object|null }
+ */
+function setBudget(channelId, budget) {
+  if (
+    budget !== null &&
+    (!BUDGET_PERIODS.includes(budget.period) ||
+      !Number.isInteger(budget.tokens) ||
+      budget.tokens <= 0)
+  ) {
+    return {
+      success: false,
+      error: `Budget must be ${BUDGET_PERIODS.join(" or ")} with a positive number of tokens`,
+    };
+  }
+
+  const previous = getChannelBudget(channelId);
+  updateChannelPreference(channelId, { budget });
+  return { success: true, previous };
+}
+
+/**
+ * Other channels a vector store is attached to
+ */
+function getOtherChannelsWithVector(channelId, vectorId) {
+  return Object.entries(getAllChannelPreferences())
+    .filter(
+      ([id, pref]) => id !== channelId && pref.vector_ids?.includes(vectorId),
+    )
+    .map(([id]) => id);
+}
+
+/**
+ * Link (or unlink with a null url) a document in one of a channel's vector
+ * stores to its canonical page, so citations of it are clickable
+ * Links apply to every channel using the store, so a store shared with other
+ * channels can only be changed by a global admin
+ * @param {string} key - Filename or OpenAI file ID
+ * @param {boolean} isGlobalAdmin - Whether the admin is a global admin
+ * Returns { success: boolean, error?: string, previous?: string|null }
+ */
+function setSourceLink(channelId, vectorId, key, url, isGlobalAdmin) {
+  if (!getVectorIds(channelId).includes(vectorId)) {
+    return {
+      success: false,
+      error: `Vector store \`${vectorId}\` is not attached to this channel`,
+    };
+  }
+  const sharedWith = getOtherChannelsWithVector(channelId, vectorId);
+  if (sharedWith.length > 0 && !isGlobalAdmin) {
+    return {
+      success: false,
+      error: `Vector store \`${vectorId}\` is also used by ${sharedWith.map((id) => `<#${id}>`).join(", ")}, and its source links apply there too. Only global admins can change them.`,
+    };
+  }
+  if (!key) {
+    return { success: false, error: "A filename or file ID is required" };
+  }
+  if (url !== null && !/^https?:\/\/[^\s<>|]+$/.test(url)) {
+    return { success: false, error: "The link must be an http(s) URL" };
+  }
+
+  const previous = updateSourceLink(vectorId, key, url);
+  return { success: true, previous };
+}
+
+/**
+ * Add a curated FAQ answer to a channel
+ * Returns { success: boolean, error?: string, faq?: Object, previous?: Object[] }
+ */
+function addFaq(channelId, { triggers, answer, createdBy }) {
+  const cleanTriggers = [
+    ...new Set(triggers.map((t) => t.trim()).filter(Boolean)),
+  ];
+  if (cleanTriggers.length === 0 || !answer?.trim()) {
+    return {
+      success: false,
+      error: "An FAQ needs at least one trigger phrase and an answer",
+    };
+  }
+
+  const previous = getChannelFaqs(channelId);
+  const faq = {
+    id: Math.max(0, ...previous.map((f) => f.id)) + 1,
+    triggers: cleanTriggers,
+    answer: answer.trim(),
+    createdBy,
+    createdAt: new Date().toISOString(),
+  };
+  updateChannelPreference(channelId, { faqs: [...previous, faq] });
+  return { success: true, faq, previous };
+}
+
+/**
+ * Remove a curated FAQ answer from a channel
+ * Returns { success: boolean, error?: string, faq?: Object, previous?: Object[] }
+ */
+function removeFaq(channelId, id) {
+  const previous = getChannelFaqs(channelId);
+  const faq = previous.find((f) => f.id === id);
+
+  if (!faq) {
+    return { success: false, error: `FAQ #${id} not found` };
+  }
+
+  updateChannelPreference(channelId, {
+    faqs: previous.filter((f) => f.id !== id),
+  });
+  return { success: true, faq, previous };
+}
+
 module.exports = {
   getChannel,
   getAllChannels,
   channelExists,
   subscribe,
   leave,
+  addVectorStore,
+  removeVectorStore,
+  addChannelAdmin,
+  removeChannelAdmin,
+  setModel,
+  setMaxOutputTokens,
+  setAmbientPolicy,
+  setLanguages,
+  setRetrievalThreshold,
+  setBudget,
+  setSourceLink,
+  addFaq,
+  removeFaq,
 };
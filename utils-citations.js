@@ -0,0 +1,180 @@
+const { getSourceLinks } = require("./utils-preferences");
+const { extractCitations } = require("./utils-openai");
+
+// ============================================================================
+// CITATIONS
+// ============================================================================
+//
+// Answers cite documents two ways: file_citation annotations on the output
+// (from file_search) and "[Source: <filename>]" markers that instructions.md
+// asks the model to write. Both become numbered footnotes ("[1]") and the
+// cited documents are listed under the answer, linked to their canonical
+// page when an admin has set one (/dasilva sourcelink).
+
+// Inline markers written by the model, e.g. "[Source: setup.md]"
+const SOURCE_MARKER_PATTERN = /\[sources?:\s*([^\]]+)\]/gi;
+
+// Stands in for a citation until footnotes are numbered (private-use
+// characters, which never appear in answers)
+const PLACEHOLDER_PATTERN = /\uE000([^\uE001]*)\uE001/g;
+
+// Text a footnote must not split: code blocks, inline code, Slack links,
+// markdown links and bare URLs (trailing punctuation left out)
+const UNSPLITTABLE_PATTERN =
+  /```[\s\S]*?```|`[^`\n]+`|<[^>\n]+>|\[[^\]\n]*\]\([^)\s]+\)|https?:\/\/[^\s<>`]*[^\s<>`.,;:!?)]/g;
+
+/**
+ * Move an annotation's position to the end of any code span or link it
+ * falls inside
+ */
+function outsideUnsplittable(text, index) {
+  for (const match of text.matchAll(UNSPLITTABLE_PATTERN)) {
+    const end = match.index + match[0].length;
+    if (match.index >= index) break;
+    if (index < end) return end;
+  }
+  return index;
+}
+
+function placeholder(key) {
+  return `\uE000${key}\uE001`;
+}
+
+function escapeSlackText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Find the canonical URL of a cited document in a channel's vector stores
+ * File IDs are matched before filenames
+ */
+function findSourceUrl(vectorIds, { fileId, filename }) {
+  for (const vectorId of vectorIds) {
+    const links = getSourceLinks(vectorId);
+    const url = (fileId && links[fileId]) || (filename && links[filename]);
+    if (url) return url;
+  }
+  return null;
+}
+
+/**
+ * Replace an answer's citations with numbered footnotes
+ * @param {Object} response - OpenAI response (or cached equivalent)
+ * @param {string[]} vectorIds - Vector stores searched (for source links)
+ * @returns {Object} { text, sources }, sources being
+ *   [{ number, fileId, filename, url }] in footnote order
+ */
+function formatCitations(response, vectorIds) {
+  let text = response.output_text || "";
+  const documents = new Map(); // key -> { fileId, filename }
+  const keysByFilename = new Map();
+
+  // Annotations point at positions in the text; insert from the end so
+  // earlier positions stay valid
+  // (ties in reverse, so citations at one position keep their order)
+  const citations = extractCitations(response)
+    .map((citation) => ({
+      ...citation,
+      index: outsideUnsplittable(text, citation.index),
+    }))
+    .sort((a, b) => a.index - b.index)
+    .reverse();
+  let lastInsert = null;
+  for (const { fileId, filename, index } of citations) {
+    const key = fileId || `name:${filename}`;
+    documents.set(key, { fileId, filename });
+    if (filename) keysByFilename.set(filename.toLowerCase(), key);
+
+    if (lastInsert?.key === key && lastInsert.index === index) continue;
+    lastInsert = { key, index };
+    text = text.slice(0, index) + placeholder(key) + text.slice(index);
+  }
+
+  // Inline markers name files; reuse the annotation's document when it has one
+  // (an annotation that landed inside a marker is kept next to it)
+  text = text.replace(SOURCE_MARKER_PATTERN, (marker, names) => {
+    const inner = names.match(PLACEHOLDER_PATTERN) || [];
+    const keys = names
+      .replace(PLACEHOLDER_PATTERN, "")
+      .split(/[,;]/)
+      .map((name) => name.trim())
+      .filter(Boolean)
+      .map((filename) => {
+        let key = keysByFilename.get(filename.toLowerCase());
+        if (!key) {
+          key = `name:${filename}`;
+          keysByFilename.set(filename.toLowerCase(), key);
+          documents.set(key, { fileId: null, filename });
+        }
+        return key;
+      });
+    return keys.map(placeholder).join("") + inner.join("");
+  });
+
+  // Number documents in the order they are first cited. Footnotes get one
+  // space before them, and a citation repeated right after the same one
+  // (e.g. a marker followed by its annotation) is dropped
+  const numbers = new Map();
+  const footnote = (key) => {
+    if (!numbers.has(key)) numbers.set(key, numbers.size + 1);
+    return `\uE002${numbers.get(key)}\uE003`;
+  };
+  text = text
+    .replace(/[ \t]*((?:\uE000[^\uE001]*\uE001)+)/g, (run, placeholders) => {
+      const keys = [...placeholders.matchAll(PLACEHOLDER_PATTERN)].map(
+        ([, key]) => key,
+      );
+      return ` ${[...new Set(keys)].map(footnote).join("")}`;
+    })
+    .replace(/(\uE002\d+\uE003)([.,;:!?]?)\s*\1/g, "$1$2")
+    .replace(/\uE002(\d+)\uE003/g, "[$1]")
+    .trim();
+
+  const sources = [...numbers].map(([key, number]) => {
+    const document = documents.get(key);
+    return {
+      number,
+      fileId: document.fileId,
+      filename: document.filename || document.fileId,
+      url: findSourceUrl(vectorIds, document),
+    };
+  });
+
+  return { text, sources };
+}
+
+/**
+ * Sources as one line of mrkdwn, e.g. "Sources: [1] <url|setup.md>  [2] faq.pdf"
+ * @returns {string} Empty without sources
+ */
+function formatSourcesText(sources) {
+  if (sources.length === 0) return "";
+  const items = sources.map(({ number, filename, url }) => {
+    const name = escapeSlackText(filename);
+    return `[${number}] ${url ? `<${url}|${name}>` : name}`;
+  });
+  return `Sources: ${items.join("   ")}`;
+}
+
+/**
+ * Block Kit context block listing the sources of an answer
+ * @returns {Object[]} [contextBlock], or [] without sources (to spread into blocks)
+ */
+function sourcesBlocks(sources) {
+  if (sources.length === 0) return [];
+  return [
+    {
+      type: "context",
+      elements: [{ type: "mrkdwn", text: formatSourcesText(sources) }],
+    },
+  ];
+}
+
+module.exports = {
+  formatCitations,
+  formatSourcesText,
+  sourcesBlocks,
+};
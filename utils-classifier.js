@@ -0,0 +1,182 @@
+const logger = require("./utils-logger");
+const { getRedisClient, buildKey } = require("./utils-redis");
+const { callClassifier } = require("./utils-openai");
+const { looksLikeQuestion } = require("./utils-message");
+const {
+  getChannelInstructions,
+  getChannelLanguages,
+} = require("./utils-preferences");
+const { getChannelName } = require("./utils-slack");
+const { recordUsage } = require("./utils-usage");
+const { recordBudgetUsage } = require("./utils-budget");
+const {
+  QUESTION_CLASSIFIER,
+  CLASSIFIER_THRESHOLD,
+} = require("./utils-variables");
+
+// ============================================================================
+// QUESTION CLASSIFIERS
+// ============================================================================
+//
+// A classifier is { classify(text, context) } resolving to
+// { isQuestion, isInScope, confidence } (confidence from 0 to 1).
+// context is { channelId, userId }.
+
+// Results are cached per message so retries and requeues don't pay again
+const CLASSIFICATION_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+// Channel instructions sent to the LLM classifier to describe the scope
+const MAX_SCOPE_INSTRUCTIONS_LENGTH = 2000;
+
+/**
+ * Regex heuristics: no API call, so also the fallback when the LLM fails
+ * Cannot judge scope, so every question is treated as in scope
+ * Only the channel's language packs are matched
+ */
+const heuristicClassifier = {
+  async classify(text, { channelId }) {
+    const isQuestion = looksLikeQuestion(text, getChannelLanguages(channelId));
+    return { isQuestion, isInScope: true, confidence: isQuestion ? 1 : 0 };
+  },
+};
+
+/**
+ * Small model (CLASSIFIER_MODEL) with the channel's name and instructions as
+ * the scope; its tokens count towards the channel's usage and budget
+ */
+const llmClassifier = {
+  async classify(text, { channelId, userId }) {
+    const channelName = await getChannelName(channelId);
+    const instructions = getChannelInstructions(channelId);
+    const scope = instructions
+      ? `Channel #${channelName}. The assistant's instructions for this channel:\n\n${instructions.substring(0, MAX_SCOPE_INSTRUCTIONS_LENGTH)}`
+      : `Channel #${channelName}. Judge the scope from the channel name; when unsure, treat the question as in scope.`;
+
+    const { response, ...result } = await callClassifier(text, scope);
+    recordUsage({ channelId, userId, response });
+    recordBudgetUsage(channelId, response);
+    return result;
+  },
+};
+
+const classifiers = {
+  heuristic: heuristicClassifier,
+  llm: llmClassifier,
+};
+
+// Resolved once at load rather than per message
+let classifierName = QUESTION_CLASSIFIER;
+if (!classifiers[classifierName]) {
+  logger.warn(
+    `Unknown QUESTION_CLASSIFIER "${QUESTION_CLASSIFIER}", using heuristic`,
+  );
+  classifierName = "heuristic";
+}
+
+/**
+ * Add a classifier that QUESTION_CLASSIFIER can select
+ */
+function registerClassifier(name, classifier) {
+  classifiers[name] = classifier;
+  if (name === QUESTION_CLASSIFIER) classifierName = name;
+}
+
+// ============================================================================
+// CLASSIFICATION (cached per message)
+// ============================================================================
+
+async function readCachedClassification(key) {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  try {
+    const cached = await redis.get(key);
+    return cached ? JSON.parse(cached) : null;
+  } catch (error) {
+    logger.error("Error reading cached classification:", error.message);
+    return null;
+  }
+}
+
+async function cacheClassification(key, classification) {
+  const redis = getRedisClient();
+  if (!redis) return;
+
+  try {
+    await redis.set(key, JSON.stringify(classification), {
+      EX: CLASSIFICATION_CACHE_TTL_SECONDS,
+    });
+  } catch (error) {
+    logger.error("Error caching classification:", error.message);
+  }
+}
+
+/**
+ * Decide whether a channel message is a question the bot should answer
+ * Logs the decision and score for tuning CLASSIFIER_THRESHOLD
+ * @param {Object} event - Slack message event ({ channel, ts, user, text })
+ * @param {Object} [options] - { requireInScope: false } for follow-ups in
+ *   threads the bot is already part of
+ * @returns {Promise<Object>} { shouldAnswer, classifier, isQuestion, isInScope, confidence }
+ */
+async function classifyMessage(event, { requireInScope = true } = {}) {
+  const { channel: channelId, user: userId, ts } = event;
+  const text = event.text?.trim() || "";
+  if (!text) {
+    return {
+      shouldAnswer: false,
+      classifier: "none",
+      isQuestion: false,
+      isInScope: false,
+      confidence: 0,
+    };
+  }
+
+  const key = buildKey("classification", channelId, ts);
+  let classification = await readCachedClassification(key);
+  const cached = classification !== null;
+
+  if (!classification) {
+    let name = classifierName;
+    let result;
+    try {
+      result = await classifiers[name].classify(text, { channelId, userId });
+    } catch (error) {
+      logger.warn(
+        `[${channelId}] (${ts}) ${name} classifier failed, using heuristic:`,
+        error.message,
+      );
+      name = "heuristic";
+      result = await heuristicClassifier.classify(text, { channelId, userId });
+    }
+    classification = { classifier: name, ...result };
+
+    // A heuristic fallback is not cached, so a retry can use the LLM
+    if (name === classifierName) {
+      await cacheClassification(key, classification);
+    }
+  }
+
+  const shouldAnswer =
+    classification.isQuestion &&
+    (classification.isInScope || !requireInScope) &&
+    classification.confidence >= CLASSIFIER_THRESHOLD;
+
+  logger.info(
+    `[${channelId}] (${ts}) classifier ${classification.classifier}${cached ? " (cached)" : ""}: ${shouldAnswer ? "answer" : "skip"}`,
+    JSON.stringify({
+      isQuestion: classification.isQuestion,
+      isInScope: classification.isInScope,
+      confidence: classification.confidence,
+      threshold: CLASSIFIER_THRESHOLD,
+      requireInScope,
+    }),
+  );
+
+  return { shouldAnswer, ...classification };
+}
+
+module.exports = {
+  classifyMessage,
+  registerClassifier,
+};
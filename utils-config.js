@@ -0,0 +1,480 @@
+const crypto = require("crypto");
+const logger = require("./utils-logger");
+const { getRedisClient, buildKey } = require("./utils-redis");
+const {
+  getAllChannelPreferences,
+  validateChannelPreferences,
+  replaceAllChannelPreferences,
+  migrateChannelPreferences,
+  getAllSourceLinks,
+  replaceAllSourceLinks,
+} = require("./utils-preferences");
+const { openDirectMessage, uploadFile } = require("./utils-slack");
+const { LANGUAGE_CODES, isLanguageCode } = require("./utils-language");
+const { isValidRetrievalThreshold } = require("./utils-openai");
+const { AMBIENT_POLICIES, BUDGET_PERIODS } = require("./utils-variables");
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Bump when the snapshot layout changes in a way older code can't read
+const SNAPSHOT_VERSION = 1;
+
+// Imports waiting for confirmation are dropped after this long
+const PENDING_IMPORT_TTL_SECONDS = 15 * 60;
+
+// Slack section blocks are limited to 3000 characters
+const MAX_SUMMARY_LENGTH = 2900;
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Build a snapshot of every channel's configuration
+ * (subscriptions, vector stores and per-channel settings) and of the
+ * source links of the vector stores' documents
+ */
+function buildSnapshot() {
+  return {
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    channels: getAllChannelPreferences(),
+    sourceLinks: getAllSourceLinks(),
+  };
+}
+
+/**
+ * Serialize a snapshot for a file
+ */
+function serializeSnapshot(snapshot) {
+  return JSON.stringify(snapshot, null, 2) + "\n";
+}
+
+/**
+ * File name for an exported snapshot, e.g. dasilva-config-2024-05-01.json
+ */
+function snapshotFilename(snapshot) {
+  return `dasilva-config-${snapshot.exportedAt.substring(0, 10)}.json`;
+}
+
+function isStringOrNull(value) {
+  return value === undefined || value === null || typeof value === "string";
+}
+
+/**
+ * Validate the settings of a single channel in a snapshot
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateChannel(channelId, pref) {
+  const errors = [];
+  const prefix = `Channel \`${channelId}\``;
+
+  if (!/^[CG][A-Z0-9]+$/.test(channelId)) {
+    errors.push(`${prefix}: not a valid Slack channel ID`);
+  }
+  if (!pref || typeof pref !== "object" || Array.isArray(pref)) {
+    return [...errors, `${prefix}: settings must be an object`];
+  }
+  if (pref.subscribed !== undefined && typeof pref.subscribed !== "boolean") {
+    errors.push(`${prefix}: \`subscribed\` must be true or false`);
+  }
+  if (
+    pref.vector_ids !== undefined &&
+    (!Array.isArray(pref.vector_ids) ||
+      !pref.vector_ids.every((id) => /^vs_\w+$/.test(id)))
+  ) {
+    errors.push(`${prefix}: \`vector_ids\` must be a list of vs_ IDs`);
+  }
+  if (
+    pref.admins !== undefined &&
+    (!Array.isArray(pref.admins) ||
+      !pref.admins.every((id) => /^[UW][A-Z0-9]+$/.test(id)))
+  ) {
+    errors.push(`${prefix}: \`admins\` must be a list of Slack user IDs`);
+  }
+  for (const field of ["instructions", "model"]) {
+    if (!isStringOrNull(pref[field])) {
+      errors.push(`${prefix}: \`${field}\` must be text or null`);
+    }
+  }
+  if (
+    pref.max_output_tokens !== undefined &&
+    pref.max_output_tokens !== null &&
+    !(Number.isInteger(pref.max_output_tokens) && pref.max_output_tokens > 0)
+  ) {
+    errors.push(`${prefix}: \`max_output_tokens\` must be a positive integer`);
+  }
+  if (
+    pref.ambient_mode !== undefined &&
+    pref.ambient_mode !== null &&
+    !AMBIENT_POLICIES.includes(pref.ambient_mode)
+  ) {
+    errors.push(
+      `${prefix}: \`ambient_mode\` must be one of ${AMBIENT_POLICIES.join(", ")}`,
+    );
+  }
+  if (
+    pref.languages !== undefined &&
+    pref.languages !== null &&
+    !(
+      Array.isArray(pref.languages) &&
+      pref.languages.length > 0 &&
+      pref.languages.every(isLanguageCode)
+    )
+  ) {
+    errors.push(
+      `${prefix}: \`languages\` must be null or a list of ${LANGUAGE_CODES.join(", ")}`,
+    );
+  }
+  if (
+    pref.retrieval_threshold !== undefined &&
+    pref.retrieval_threshold !== null &&
+    !isValidRetrievalThreshold(pref.retrieval_threshold)
+  ) {
+    errors.push(
+      `${prefix}: \`retrieval_threshold\` must be a number from 0 to 1`,
+    );
+  }
+  if (
+    pref.budget !== undefined &&
+    pref.budget !== null &&
+    !(
+      BUDGET_PERIODS.includes(pref.budget?.period) &&
+      Number.isInteger(pref.budget.tokens) &&
+      pref.budget.tokens > 0
+    )
+  ) {
+    errors.push(
+      `${prefix}: \`budget\` must be null or { period: ${BUDGET_PERIODS.join(" | ")}, tokens: positive integer }`,
+    );
+  }
+
+  if (
+    pref.faqs !== undefined &&
+    !(
+      Array.isArray(pref.faqs) &&
+      pref.faqs.every(
+        (faq) =>
+          Number.isInteger(faq?.id) &&
+          Array.isArray(faq.triggers) &&
+          faq.triggers.length > 0 &&
+          faq.triggers.every((t) => typeof t === "string") &&
+          typeof faq.answer === "string",
+      )
+    )
+  ) {
+    errors.push(
+      `${prefix}: \`faqs\` must be a list of { id, triggers, answer } entries`,
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a snapshot's source links
+ * { "vs_123": { "<filename or file ID>": "https://..." } }
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateSourceLinks(sourceLinks) {
+  if (
+    !sourceLinks ||
+    typeof sourceLinks !== "object" ||
+    Array.isArray(sourceLinks)
+  ) {
+    return ["`sourceLinks` must be an object of vector store IDs"];
+  }
+
+  const errors = [];
+  for (const [vectorId, links] of Object.entries(sourceLinks)) {
+    if (!/^vs_\w+$/.test(vectorId)) {
+      errors.push(`Source links \`${vectorId}\`: not a vs_ ID`);
+    }
+    if (
+      !links ||
+      typeof links !== "object" ||
+      Array.isArray(links) ||
+      !Object.values(links).every(
+        (url) => typeof url === "string" && /^https?:\/\/[^\s<>|]+$/.test(url),
+      )
+    ) {
+      errors.push(
+        `Source links \`${vectorId}\`: must map filenames or file IDs to http(s) URLs`,
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * Parse and validate a snapshot file
+ * Snapshots from older versions (single vector_id) are upgraded first
+ * @param {string} text - File contents
+ * @returns {Object} { success, snapshot?, errors? }
+ */
+function parseSnapshot(text) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (error) {
+    return { success: false, errors: [`Not valid JSON: ${error.message}`] };
+  }
+
+  const structureErrors = validateChannelPreferences(snapshot);
+  if (structureErrors.length > 0) {
+    return { success: false, errors: structureErrors };
+  }
+
+  if (snapshot.version !== undefined && snapshot.version > SNAPSHOT_VERSION) {
+    return {
+      success: false,
+      errors: [
+        `Snapshot version ${snapshot.version} is newer than this bot supports (${SNAPSHOT_VERSION})`,
+      ],
+    };
+  }
+
+  migrateChannelPreferences(snapshot);
+
+  const errors = Object.entries(snapshot.channels).flatMap(([id, pref]) =>
+    validateChannel(id, pref),
+  );
+  // Snapshots exported before source links were included leave them as is
+  if (snapshot.sourceLinks !== undefined) {
+    errors.push(...validateSourceLinks(snapshot.sourceLinks));
+  }
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  return { success: true, snapshot };
+}
+
+// ============================================================================
+// DIFF AND APPLY
+// ============================================================================
+
+// Source links compare equal whatever order they were added in
+function sortKeys(object = {}) {
+  return Object.fromEntries(Object.entries(object).sort());
+}
+
+/**
+ * Compare current channel preferences and source links with a snapshot
+ * lastUpdated is ignored since it changes on every save
+ * @returns {Object} { added, removed, changed: [{ channelId, fields }],
+ *   unchanged, sourceLinks: vector store IDs whose links change }
+ */
+function diffSnapshot(current, snapshot, currentLinks = getAllSourceLinks()) {
+  const incoming = snapshot.channels;
+  const diff = {
+    added: [],
+    removed: [],
+    changed: [],
+    unchanged: 0,
+    sourceLinks: [],
+  };
+
+  for (const channelId of Object.keys(incoming)) {
+    if (!current[channelId]) {
+      diff.added.push(channelId);
+      continue;
+    }
+
+    const keys = new Set([
+      ...Object.keys(current[channelId]),
+      ...Object.keys(incoming[channelId]),
+    ]);
+    keys.delete("lastUpdated");
+
+    const fields = [...keys].filter(
+      (key) =>
+        JSON.stringify(current[channelId][key] ?? null) !==
+        JSON.stringify(incoming[channelId][key] ?? null),
+    );
+
+    if (fields.length > 0) {
+      diff.changed.push({ channelId, fields });
+    } else {
+      diff.unchanged++;
+    }
+  }
+
+  for (const channelId of Object.keys(current)) {
+    if (!incoming[channelId]) {
+      diff.removed.push(channelId);
+    }
+  }
+
+  if (snapshot.sourceLinks !== undefined) {
+    const vectorIds = new Set([
+      ...Object.keys(currentLinks),
+      ...Object.keys(snapshot.sourceLinks),
+    ]);
+    diff.sourceLinks = [...vectorIds].filter(
+      (vectorId) =>
+        JSON.stringify(sortKeys(currentLinks[vectorId])) !==
+        JSON.stringify(sortKeys(snapshot.sourceLinks[vectorId])),
+    );
+  }
+
+  return diff;
+}
+
+function hasChanges(diff) {
+  return (
+    diff.added.length > 0 ||
+    diff.removed.length > 0 ||
+    diff.changed.length > 0 ||
+    diff.sourceLinks.length > 0
+  );
+}
+
+/**
+ * Format a diff as Slack mrkdwn (or plain text for the CLI)
+ * @param {Object} diff - Result of diffSnapshot
+ * @param {Object} options - { plain: use raw IDs instead of channel links }
+ */
+function formatDiff(diff, { plain = false } = {}) {
+  const channel = (id) => (plain ? id : `<#${id}>`);
+  const lines = [
+    `Import summary: ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed, ${diff.unchanged} unchanged`,
+  ];
+
+  if (diff.added.length > 0) {
+    lines.push("", "Added:");
+    lines.push(...diff.added.map((id) => `• ${channel(id)}`));
+  }
+  if (diff.removed.length > 0) {
+    lines.push("", "Removed:");
+    lines.push(...diff.removed.map((id) => `• ${channel(id)}`));
+  }
+  if (diff.changed.length > 0) {
+    lines.push("", "Changed:");
+    lines.push(
+      ...diff.changed.map(
+        ({ channelId, fields }) =>
+          `• ${channel(channelId)}: ${fields.join(", ")}`,
+      ),
+    );
+  }
+  if (diff.sourceLinks.length > 0) {
+    lines.push("", "Source links changed:");
+    lines.push(...diff.sourceLinks.map((vectorId) => `• \`${vectorId}\``));
+  }
+
+  const text = lines.join("\n");
+  return text.length > MAX_SUMMARY_LENGTH
+    ? `${text.substring(0, MAX_SUMMARY_LENGTH)}\n...`
+    : text;
+}
+
+/**
+ * Replace all channel preferences (and source links, if the snapshot has
+ * them) with a snapshot
+ * @returns {Object} { previous, current }, each { channels, sourceLinks }
+ */
+function applySnapshot(snapshot) {
+  const previous = {
+    channels: getAllChannelPreferences(),
+    sourceLinks: getAllSourceLinks(),
+  };
+  const current = {
+    channels: replaceAllChannelPreferences(snapshot.channels),
+    sourceLinks:
+      snapshot.sourceLinks !== undefined
+        ? replaceAllSourceLinks(snapshot.sourceLinks)
+        : previous.sourceLinks,
+  };
+  logger.info(
+    `configuration imported (${Object.keys(current.channels).length} channels)`,
+  );
+  return { previous, current };
+}
+
+// ============================================================================
+// PENDING IMPORTS (between the upload and confirmation modals)
+// ============================================================================
+//
+// Held in Redis rather than in memory: the confirmation click can reach a
+// different replica than the upload, or a restarted one.
+
+/**
+ * Hold a validated snapshot until the admin confirms it
+ * @returns {Promise<string|null>} Token to put in the confirmation modal's
+ *   private_metadata, or null if Redis is unavailable
+ */
+async function storePendingImport(userId, snapshot) {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  const token = crypto.randomUUID();
+  try {
+    await redis.setEx(
+      buildKey("import", token),
+      PENDING_IMPORT_TTL_SECONDS,
+      JSON.stringify({ userId, snapshot }),
+    );
+    return token;
+  } catch (error) {
+    logger.error("Error storing pending import:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Take a pending snapshot (one use only)
+ * Returns null if missing, expired or stored by another user
+ */
+async function takePendingImport(token, userId) {
+  const redis = getRedisClient();
+  if (!redis || !token) return null;
+
+  try {
+    const stored = await redis.getDel(buildKey("import", token));
+    if (!stored) return null;
+
+    const pending = JSON.parse(stored);
+    return pending.userId === userId ? pending.snapshot : null;
+  } catch (error) {
+    logger.error("Error reading pending import:", error.message);
+    return null;
+  }
+}
+
+// ============================================================================
+// SLACK EXPORT
+// ============================================================================
+
+/**
+ * Upload a configuration snapshot to an admin's direct messages
+ */
+async function exportConfigToUser(userId) {
+  const snapshot = buildSnapshot();
+  const dmChannelId = await openDirectMessage(userId);
+  const channelCount = Object.keys(snapshot.channels).length;
+
+  await uploadFile(
+    dmChannelId,
+    snapshotFilename(snapshot),
+    serializeSnapshot(snapshot),
+    `Configuration snapshot (${channelCount} channels). Use \`/dasilva import\` to restore it.`,
+  );
+  logger.info(`configuration exported to ${userId} (${channelCount} channels)`);
+}
+
+module.exports = {
+  buildSnapshot,
+  serializeSnapshot,
+  snapshotFilename,
+  parseSnapshot,
+  diffSnapshot,
+  hasChanges,
+  formatDiff,
+  applySnapshot,
+  storePendingImport,
+  takePendingImport,
+  exportConfigToUser,
+};
@@ -0,0 +1,78 @@
+const logger = require("./utils-logger");
+const { getRedisClient, isRedisConnected, buildKey } = require("./utils-redis");
+const { EVENT_DEDUPE_TTL_SECONDS } = require("./utils-variables");
+
+// ============================================================================
+// SLACK EVENT DEDUPLICATION (Redis-backed, in-memory fallback)
+// ============================================================================
+
+// Events remembered in memory when Redis is unavailable (oldest dropped first)
+const MEMORY_CACHE_SIZE = 5000;
+
+// event_id -> expiry time (ms); Map keeps insertion order, so the first key
+// is always the least recently seen
+const seenEvents = new Map();
+
+// Duplicates dropped since the process started (logged with each duplicate)
+let duplicateCount = 0;
+
+/**
+ * Remember an event in memory
+ * @returns {boolean} True if it was already there (and not expired)
+ */
+function rememberInMemory(eventId) {
+  const now = Date.now();
+  const expiresAt = seenEvents.get(eventId);
+  if (expiresAt && expiresAt > now) return true;
+
+  seenEvents.delete(eventId);
+  seenEvents.set(eventId, now + EVENT_DEDUPE_TTL_SECONDS * 1000);
+  if (seenEvents.size > MEMORY_CACHE_SIZE) {
+    seenEvents.delete(seenEvents.keys().next().value);
+  }
+  return false;
+}
+
+/**
+ * Record a Slack event and check if it has been seen before
+ * Slack retries events (with X-Slack-Retry-Num) when it doesn't get a timely
+ * response, so the same event_id can arrive several times
+ * @param {string} eventId - event_id from the event callback
+ * @param {Object} headers - Request headers (for the retry number and reason)
+ * @returns {Promise<boolean>} True if the event is a duplicate and should be dropped
+ */
+async function isDuplicateEvent(eventId, headers = {}) {
+  if (!eventId) return false;
+
+  const retryNum = headers["x-slack-retry-num"] || "0";
+
+  // Also kept in memory so a Redis outage doesn't forget recent events
+  let duplicate = rememberInMemory(eventId);
+
+  const redis = isRedisConnected() ? getRedisClient() : null;
+  if (redis) {
+    try {
+      // SET NX succeeds only for the first delivery
+      const recorded = await redis.set(buildKey("event", eventId), retryNum, {
+        NX: true,
+        EX: EVENT_DEDUPE_TTL_SECONDS,
+      });
+      duplicate = recorded === null;
+    } catch (error) {
+      logger.error(`Error recording event ${eventId}:`, error.message);
+    }
+  }
+
+  if (duplicate) {
+    duplicateCount++;
+    const reason = headers["x-slack-retry-reason"];
+    logger.info(
+      `Duplicate event ${eventId} dropped (retry ${retryNum}${reason ? `, ${reason}` : ""}; ${duplicateCount} since start)`,
+    );
+  }
+  return duplicate;
+}
+
+module.exports = {
+  isDuplicateEvent,
+};
@@ -0,0 +1,342 @@
+const logger = require("./utils-logger");
+const channelConfigModule = require("./utils-channel");
+const {
+  getUserPreference,
+  updateUserPreference,
+  getVectorIds,
+} = require("./utils-preferences");
+const {
+  postMessage,
+  updateMessage,
+  textSections,
+  getThreadHistory,
+  getConversationHistory,
+  getChannelName,
+  getUserChannelIds,
+  summarizeSlackError,
+} = require("./utils-slack");
+const {
+  summarizeOpenAIResponse,
+  summarizeOpenAIError,
+  isOpenAIError,
+} = require("./utils-openai");
+const { getChannelContext, assessRetrieval } = require("./utils-message");
+const { callOpenAIWithCache } = require("./utils-cache");
+const { formatCitations, sourcesBlocks } = require("./utils-citations");
+const { recordUsage } = require("./utils-usage");
+const {
+  getExhaustedBudget,
+  budgetExhaustedMessage,
+  recordBudgetUsage,
+} = require("./utils-budget");
+const {
+  getDmConversationStart,
+  markDmConversationActive,
+} = require("./utils-threads");
+const {
+  THREAD_CONTEXT_MESSAGES,
+  LOW_CONFIDENCE_NOTE,
+} = require("./utils-variables");
+
+// ============================================================================
+// KNOWLEDGE BASE SELECTION
+// ============================================================================
+
+/**
+ * Get subscribed channels with at least one vector store that a user is a
+ * member of. These are the knowledge bases the user can pick for direct
+ * messages; private channels they are not in are never offered or used.
+ */
+async function getKnowledgeBaseChannels(userId) {
+  const memberOf = await getUserChannelIds(userId);
+  return channelConfigModule
+    .getAllChannels()
+    .map(([channelId]) => channelId)
+    .filter(
+      (channelId) =>
+        memberOf.has(channelId) && getVectorIds(channelId).length > 0,
+    );
+}
+
+/**
+ * Resolve which channel's knowledge base answers a user's direct messages
+ * Order: explicit selection, last channel the user talked to the bot in,
+ * then the only available knowledge base. Returns null if none applies.
+ * @param {string} userId - Slack user ID
+ * @param {string[]} available - The user's knowledge bases
+ */
+function resolveKnowledgeBase(userId, available) {
+  const userPref = getUserPreference(userId);
+
+  if (available.includes(userPref.dmKnowledgeChannel)) {
+    return userPref.dmKnowledgeChannel;
+  }
+  if (available.includes(userPref.lastChannel)) {
+    return userPref.lastChannel;
+  }
+  if (available.length === 1) {
+    return available[0];
+  }
+  return null;
+}
+
+/**
+ * Build the "knowledge base" selector blocks shown under DM replies
+ * @param {string|null} selectedChannelId - Current knowledge base
+ * @param {string[]} available - The user's knowledge bases
+ */
+async function knowledgeBaseBlocks(selectedChannelId, available) {
+  const channels = available.slice(0, 100); // Slack option limit
+  const options = await Promise.all(
+    channels.map(async (channelId) => ({
+      text: {
+        type: "plain_text",
+        text: `#${await getChannelName(channelId)}`,
+      },
+      value: channelId,
+    })),
+  );
+
+  const selector = {
+    type: "static_select",
+    action_id: "select_dm_knowledge_base",
+    placeholder: {
+      type: "plain_text",
+      text: "Choose a knowledge base",
+    },
+    options,
+  };
+
+  const selected = options.find((o) => o.value === selectedChannelId);
+  if (selected) {
+    selector.initial_option = selected;
+  }
+
+  return [
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: selected
+            ? `Knowledge base: <#${selectedChannelId}>`
+            : "Pick a knowledge base to get started",
+        },
+      ],
+    },
+    {
+      type: "actions",
+      block_id: "dm_knowledge_base",
+      elements: [selector],
+    },
+  ];
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Handle a direct message to the bot
+ * Answers from the selected channel's knowledge base with multi-turn context
+ * @param {Object} [job] - Queue job context (see handleMention)
+ */
+async function handleDirectMessage(event, job = null) {
+  const { text, channel: dmChannelId, ts, user: userId } = event;
+  const threadTs = event.thread_ts;
+
+  logger.info(`[${dmChannelId}] (${ts}) direct message from ${userId}`);
+
+  // Membership is checked on every message, so leaving a channel also
+  // takes away its knowledge base
+  const available = await getKnowledgeBaseChannels(userId);
+  const knowledgeChannelId = resolveKnowledgeBase(userId, available);
+
+  if (!knowledgeChannelId) {
+    if (available.length === 0) {
+      await postMessage(
+        dmChannelId,
+        "Sorry, none of the channels you're in has a knowledge base I can answer from yet.",
+        { thread_ts: threadTs },
+      );
+      return;
+    }
+
+    await postMessage(
+      dmChannelId,
+      "Which knowledge base should I use to answer you?",
+      {
+        thread_ts: threadTs,
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: "Which knowledge base should I use to answer you? Pick one and ask again.",
+            },
+          },
+          ...(await knowledgeBaseBlocks(null, available)),
+        ],
+      },
+    );
+    return;
+  }
+
+  const ctx = getChannelContext(knowledgeChannelId);
+
+  const exhaustedBudget = await getExhaustedBudget(knowledgeChannelId);
+  if (exhaustedBudget) {
+    logger.info(
+      `[${dmChannelId}] (${ts}) direct message from ${userId} not answered (budget exhausted)`,
+    );
+    await postMessage(
+      dmChannelId,
+      budgetExhaustedMessage(knowledgeChannelId, exhaustedBudget),
+      { thread_ts: threadTs },
+    );
+    return;
+  }
+
+  // A retried job reuses its "thinking" message
+  let thinkingMessage = job?.state.thinkingTs
+    ? { ts: job.state.thinkingTs }
+    : null;
+  try {
+    thinkingMessage ??= await postMessage(dmChannelId, "_Thinking..._", {
+      thread_ts: threadTs,
+    });
+    if (job) job.state.thinkingTs = thinkingMessage.ts;
+  } catch (error) {
+    if (job?.willRetry(error)) throw error;
+    logger.error("Error posting DM thinking message:", error);
+    return;
+  }
+
+  // Threads in a DM keep their own context; otherwise use the conversation
+  let history = [];
+  if (threadTs) {
+    history = await getThreadHistory(
+      dmChannelId,
+      threadTs,
+      ts,
+      THREAD_CONTEXT_MESSAGES,
+    );
+  } else {
+    const conversationStart = await getDmConversationStart(dmChannelId);
+    if (conversationStart) {
+      history = await getConversationHistory(
+        dmChannelId,
+        conversationStart,
+        ts,
+        THREAD_CONTEXT_MESSAGES,
+      );
+    }
+  }
+
+  try {
+    const response = await callOpenAIWithCache(
+      knowledgeChannelId,
+      text,
+      ctx.vectorIds,
+      history,
+      ctx.overrides,
+    );
+    // Direct messages are billed to the knowledge base channel
+    recordUsage({ channelId: knowledgeChannelId, userId, response });
+    recordBudgetUsage(knowledgeChannelId, response);
+    const cited = formatCitations(response, ctx.vectorIds);
+    let reply = cited.text;
+    if (!reply) {
+      reply = `Sorry, I'm not able to answer that from the <#${knowledgeChannelId}> knowledge base. Try rephrasing, or switch knowledge base below.`;
+    } else if (
+      !assessRetrieval(knowledgeChannelId, `[${dmChannelId}] (${ts})`, response)
+        .confident
+    ) {
+      reply += LOW_CONFIDENCE_NOTE;
+    }
+
+    await updateMessage(dmChannelId, thinkingMessage.ts, reply, {
+      blocks: [
+        ...textSections(reply),
+        ...sourcesBlocks(cited.sources),
+        ...(await knowledgeBaseBlocks(knowledgeChannelId, available)),
+      ],
+    });
+
+    if (!threadTs) {
+      await markDmConversationActive(dmChannelId, ts);
+    }
+
+    logger.info(
+      `[${dmChannelId}] (${ts}) direct response to ${userId} from ${knowledgeChannelId}`,
+    );
+    logger.info(
+      `[${dmChannelId}] (${ts})  `,
+      JSON.stringify(summarizeOpenAIResponse(response)),
+    );
+  } catch (error) {
+    if (isOpenAIError(error)) {
+      logger.error(
+        "Error in handleDirectMessage (OpenAI):",
+        summarizeOpenAIError(error),
+      );
+    } else {
+      logger.error("Error in handleDirectMessage:", summarizeSlackError(error));
+    }
+
+    if (job?.willRetry(error)) throw error;
+
+    try {
+      await updateMessage(
+        dmChannelId,
+        thinkingMessage.ts,
+        "Sorry, I encountered an error processing your request.",
+      );
+    } catch (slackError) {
+      logger.error(
+        "Error updating DM with error:",
+        summarizeSlackError(slackError),
+      );
+    }
+  }
+}
+
+/**
+ * Handle the knowledge base selector in a DM reply
+ * Stores the user's choice for future direct messages
+ */
+async function handleKnowledgeBaseSelection(payload) {
+  const userId = payload.user.id;
+  const dmChannelId = payload.channel?.id;
+  const channelId = payload.actions?.[0]?.selected_option?.value;
+
+  const available = await getKnowledgeBaseChannels(userId);
+  if (!available.includes(channelId)) {
+    logger.warn(
+      `Ignoring knowledge base selection of ${channelId} by ${userId} (not available)`,
+    );
+    if (dmChannelId) {
+      await postMessage(
+        dmChannelId,
+        "That knowledge base isn't available to you. You can only pick channels you're a member of.",
+      );
+    }
+    return;
+  }
+
+  updateUserPreference(userId, { dmKnowledgeChannel: channelId });
+  logger.info(`User ${userId} selected DM knowledge base ${channelId}`);
+
+  if (dmChannelId) {
+    await postMessage(
+      dmChannelId,
+      `Got it. I'll answer from the <#${channelId}> knowledge base.`,
+    );
+  }
+}
+
+module.exports = {
+  resolveKnowledgeBase,
+  handleDirectMessage,
+  handleKnowledgeBaseSelection,
+};
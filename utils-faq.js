@@ -0,0 +1,80 @@
+const { getChannelFaqs } = require("./utils-preferences");
+
+// ============================================================================
+// CURATED ANSWERS (per-channel FAQ overrides)
+// ============================================================================
+
+// Shown under every curated answer so readers know it isn't generated
+const CURATED_ANSWER_LABEL =
+  "_:pushpin: Curated answer from the channel admins_";
+
+/**
+ * Normalize text for trigger matching: lowercase words separated by single
+ * spaces, without mentions or punctuation
+ */
+function normalizeFaqText(text) {
+  return text
+    .replace(/<@[A-Z0-9]+>/g, " ")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Find the FAQ entry whose trigger phrase appears in a question
+ * Triggers match whole words; the longest matching trigger wins
+ * @returns {Object|null} { faq, trigger } or null if nothing matches
+ */
+function findFaq(channelId, text) {
+  const question = ` ${normalizeFaqText(text)} `;
+  let best = null;
+
+  for (const faq of getChannelFaqs(channelId)) {
+    for (const trigger of faq.triggers) {
+      const phrase = normalizeFaqText(trigger);
+      if (!phrase || !question.includes(` ${phrase} `)) continue;
+      if (!best || phrase.length > best.length) {
+        best = { faq, trigger, length: phrase.length };
+      }
+    }
+  }
+
+  return best ? { faq: best.faq, trigger: best.trigger } : null;
+}
+
+/**
+ * Reply text for a curated answer
+ */
+function formatFaqAnswer(faq) {
+  return `${faq.answer}\n\n${CURATED_ANSWER_LABEL}`;
+}
+
+/**
+ * Format a channel's FAQ entries as Slack mrkdwn
+ */
+function formatFaqList(channelId) {
+  const faqs = getChannelFaqs(channelId);
+  if (faqs.length === 0) {
+    return `<#${channelId}> has no curated answers. Use \`/dasilva faq add\` to create one.`;
+  }
+
+  return (
+    `*Curated answers for <#${channelId}>:*\n\n` +
+    faqs
+      .map((faq) => {
+        const preview =
+          faq.answer.length > 150
+            ? `${faq.answer.substring(0, 150)}...`
+            : faq.answer;
+        return `*#${faq.id}* ${faq.triggers.map((t) => `"${t}"`).join(", ")}\n> ${preview.replace(/\n/g, "\n> ")}`;
+      })
+      .join("\n\n")
+  );
+}
+
+module.exports = {
+  normalizeFaqText,
+  findFaq,
+  formatFaqAnswer,
+  formatFaqList,
+};
@@ -0,0 +1,328 @@
+const logger = require("./utils-logger");
+const channelConfigModule = require("./utils-channel");
+const {
+  getUserCooldown,
+  updateUserPreference,
+  getVectorIds,
+  getAmbientPolicy,
+  isChannelAdmin,
+  isUserSilencedInChannel,
+  silenceUserInChannel,
+  unsilenceUserInChannel,
+} = require("./utils-preferences");
+const { openView, publishView, getUserChannelIds } = require("./utils-slack");
+const { openLeaveChannelModal } = require("./utils-modals");
+const modalDefs = require("./modal-definitions");
+const { RESPONSE_COOLDOWN_SECONDS } = require("./utils-variables");
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Slack allows 100 blocks per Home tab; keep room for headers and notes
+const MAX_HOME_CHANNELS = 40;
+const MAX_HOME_ADMIN_CHANNELS = 20; // two blocks each
+
+// Cooldown choices offered in the Home tab (minutes)
+const COOLDOWN_OPTIONS = [0, 1, 5, 10, 30, 60, 240, 1440];
+
+// ============================================================================
+// VIEW
+// ============================================================================
+
+function formatMinutes(minutes) {
+  return `${minutes} ${minutes === 1 ? "minute" : "minutes"}`;
+}
+
+function header(text) {
+  return { type: "header", text: { type: "plain_text", text } };
+}
+
+function button(text, actionId, value, style) {
+  const element = {
+    type: "button",
+    text: { type: "plain_text", text },
+    action_id: actionId,
+    value,
+  };
+  if (style) element.style = style;
+  return element;
+}
+
+/**
+ * Cooldown selector for the user's settings
+ */
+function cooldownBlock(userId) {
+  const customCooldown = getUserCooldown(userId);
+  const defaultOption = {
+    text: {
+      type: "plain_text",
+      text: `Default (${formatMinutes(RESPONSE_COOLDOWN_SECONDS / 60)})`,
+    },
+    value: "default",
+  };
+  const options = [
+    defaultOption,
+    ...COOLDOWN_OPTIONS.map((minutes) => ({
+      text: { type: "plain_text", text: formatMinutes(minutes) },
+      value: String(minutes),
+    })),
+  ];
+
+  const selected =
+    customCooldown === null || customCooldown === undefined
+      ? defaultOption
+      : options.find((o) => o.value === String(customCooldown / 60));
+
+  const select = {
+    type: "static_select",
+    action_id: "home_set_cooldown",
+    options,
+  };
+  if (selected) select.initial_option = selected;
+
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: `*Cooldown*\nMinimum time between private answers to you, in every channel${selected ? "" : ` (currently ${formatMinutes(customCooldown / 60)})`}`,
+    },
+    accessory: select,
+  };
+}
+
+/**
+ * One line per subscribed channel with the user's ambient status
+ */
+function silenceBlock(userId, channelId) {
+  const policy = getAmbientPolicy(channelId);
+
+  if (policy === "off") {
+    return {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `<#${channelId}>\n_Private answers are turned off in this channel_`,
+      },
+    };
+  }
+
+  const silenced = isUserSilencedInChannel(userId, channelId);
+  return {
+    type: "section",
+    text: {
+      type: "mrkdwn",
+      text: silenced
+        ? `<#${channelId}>\n:no_bell: Silenced${policy === "opt-in" ? " (opt-in channel)" : ""}`
+        : `<#${channelId}>\n:bell: Receiving private answers`,
+    },
+    accessory: silenced
+      ? button("Unsilence", "home_unsilence", channelId, "primary")
+      : button("Silence", "home_silence", channelId),
+  };
+}
+
+/**
+ * Channel configuration with admin quick actions
+ */
+function adminChannelBlocks(channelId) {
+  const vectorIds = getVectorIds(channelId);
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `<#${channelId}> (\`${channelId}\`)\n${
+          vectorIds.length > 0
+            ? `Vector: ${vectorIds.map((v) => `\`${v}\``).join(", ")}`
+            : "_No vector store_"
+        }`,
+      },
+    },
+    {
+      type: "actions",
+      elements: [
+        button("Add vector store", "home_add_vector", channelId),
+        button("Leave channel", "home_leave_channel", channelId, "danger"),
+      ],
+    },
+  ];
+}
+
+function truncationNote(shown, total) {
+  return {
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: `Showing ${shown} of ${total} channels. Use \`/dasilva channels\` for the full list.`,
+      },
+    ],
+  };
+}
+
+/**
+ * Build the Home tab for a user
+ * Private answers are listed for the subscribed channels the user is in;
+ * admins also get the channels they can manage (all channels for global admins)
+ * @param {Set<string>} memberOf - Channels the user is a member of
+ */
+function buildHomeView(userId, isGlobalAdmin, memberOf) {
+  const allChannelIds = channelConfigModule
+    .getAllChannels()
+    .map(([channelId]) => channelId);
+  const channelIds = allChannelIds.filter((channelId) =>
+    memberOf.has(channelId),
+  );
+
+  const blocks = [
+    header("Your settings"),
+    cooldownBlock(userId),
+    { type: "divider" },
+    header("Private answers by channel"),
+  ];
+
+  if (channelIds.length === 0) {
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: "_I'm not in any of your channels yet._",
+      },
+    });
+  } else {
+    blocks.push(
+      ...channelIds
+        .slice(0, MAX_HOME_CHANNELS)
+        .map((channelId) => silenceBlock(userId, channelId)),
+    );
+    if (channelIds.length > MAX_HOME_CHANNELS) {
+      blocks.push(truncationNote(MAX_HOME_CHANNELS, channelIds.length));
+    }
+  }
+
+  const adminChannelIds = isGlobalAdmin
+    ? allChannelIds
+    : allChannelIds.filter((channelId) => isChannelAdmin(userId, channelId));
+
+  if (adminChannelIds.length > 0) {
+    blocks.push({ type: "divider" }, header("Channel administration"));
+    for (const channelId of adminChannelIds.slice(0, MAX_HOME_ADMIN_CHANNELS)) {
+      blocks.push(...adminChannelBlocks(channelId));
+    }
+    if (adminChannelIds.length > MAX_HOME_ADMIN_CHANNELS) {
+      blocks.push(
+        truncationNote(MAX_HOME_ADMIN_CHANNELS, adminChannelIds.length),
+      );
+    }
+  }
+
+  blocks.push({
+    type: "context",
+    elements: [
+      {
+        type: "mrkdwn",
+        text: "@mention me in a channel for a public answer, or type `/dasilva help` for all commands.",
+      },
+    ],
+  });
+
+  return { type: "home", blocks };
+}
+
+/**
+ * Publish (or refresh) a user's Home tab
+ */
+async function publishHome(userId, isGlobalAdmin) {
+  try {
+    const memberOf = await getUserChannelIds(userId);
+    await publishView(userId, buildHomeView(userId, isGlobalAdmin, memberOf));
+  } catch (error) {
+    logger.error(`Error publishing App Home for ${userId}:`, error);
+  }
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Check if an interaction comes from the Home tab
+ */
+function isHomeAction(actionId) {
+  return actionId?.startsWith("home_");
+}
+
+/**
+ * Handle a button or select in the Home tab
+ * Admin actions are re-checked here since the view may be stale
+ */
+async function handleHomeAction(payload, isGlobalAdmin) {
+  const userId = payload.user.id;
+  const action = payload.actions[0];
+  const canAdmin = (channelId) =>
+    isGlobalAdmin || isChannelAdmin(userId, channelId);
+
+  switch (action.action_id) {
+    case "home_silence":
+      silenceUserInChannel(userId, action.value);
+      logger.info(
+        `[${action.value}]: User ${userId} enabled silence mode via App Home`,
+      );
+      break;
+
+    case "home_unsilence":
+      unsilenceUserInChannel(userId, action.value);
+      logger.info(
+        `[${action.value}]: User ${userId} disabled silence mode via App Home`,
+      );
+      break;
+
+    case "home_set_cooldown": {
+      const value = action.selected_option?.value;
+      const customCooldown =
+        value === "default" ? null : parseInt(value, 10) * 60;
+      updateUserPreference(userId, { customCooldown });
+      logger.info(
+        `User ${userId} set cooldown to ${value === "default" ? "default" : `${value} minutes`} via App Home`,
+      );
+      break;
+    }
+
+    case "home_add_vector":
+      if (!canAdmin(action.value)) {
+        logger.warn(
+          `[${action.value}]: ${userId} tried to add a vector store from App Home without admin rights`,
+        );
+        break;
+      }
+      await openView(
+        payload.trigger_id,
+        modalDefs.addVectorModal(action.value),
+      );
+      return;
+
+    case "home_leave_channel":
+      if (!canAdmin(action.value)) {
+        logger.warn(
+          `[${action.value}]: ${userId} tried to leave from App Home without admin rights`,
+        );
+        break;
+      }
+      await openLeaveChannelModal(payload.trigger_id, action.value);
+      return;
+
+    default:
+      logger.warn(`Unknown App Home action: ${action.action_id}`);
+      return;
+  }
+
+  await publishHome(userId, isGlobalAdmin);
+}
+
+module.exports = {
+  buildHomeView,
+  publishHome,
+  isHomeAction,
+  handleHomeAction,
+};
@@ -0,0 +1,249 @@
+const path = require("path");
+const logger = require("./utils-logger");
+const { recordAudit } = require("./utils-audit");
+const { getVectorId } = require("./utils-preferences");
+const {
+  getMessage,
+  downloadFile,
+  postThreadReply,
+  updateMessage,
+  summarizeSlackError,
+} = require("./utils-slack");
+const {
+  addFileToVectorStore,
+  isOpenAIError,
+  summarizeOpenAIError,
+} = require("./utils-openai");
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// File extensions the vector store can index that we accept from Slack
+const SUPPORTED_EXTENSIONS = [".pdf", ".md", ".markdown", ".txt"];
+
+// Slack filetype values for the same formats
+const SUPPORTED_FILETYPES = ["pdf", "markdown", "text"];
+
+/**
+ * Default Slack and OpenAI dependencies
+ * Tests can pass stubs with the same shape to the ingest functions
+ */
+const defaultDeps = {
+  getVectorId,
+  getMessage,
+  downloadFile,
+  addFileToVectorStore,
+  postThreadReply,
+  updateMessage,
+  recordAudit,
+};
+
+// ============================================================================
+// FILE CHECKS
+// ============================================================================
+
+/**
+ * Check if a Slack file object is a type we can ingest
+ */
+function isSupportedFile(file) {
+  const extension = path.extname(file?.name || "").toLowerCase();
+  return (
+    SUPPORTED_EXTENSIONS.includes(extension) ||
+    SUPPORTED_FILETYPES.includes(file?.filetype)
+  );
+}
+
+/**
+ * Check if a mention is a "learn" request (e.g. "@dasilva learn")
+ */
+function isLearnRequest(text) {
+  const command = (text || "").replace(/<@[A-Z0-9]+>/g, "").trim();
+  return /^learn\b/i.test(command);
+}
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+
+/**
+ * Download files shared in Slack and add them to the channel's vector store
+ * Posts one status message per file in the thread and updates it in place
+ * @param {Object} params - { channelId, threadTs, files, userId }
+ * @param {Object} deps - Slack/OpenAI dependencies (defaults to real clients)
+ * @returns {Promise<Array>} Per-file results ({ name, status, error? })
+ */
+async function ingestFiles(
+  { channelId, threadTs, files, userId },
+  deps = defaultDeps,
+) {
+  const vectorId = deps.getVectorId(channelId);
+  if (!vectorId) {
+    await deps.postThreadReply(
+      channelId,
+      threadTs,
+      "This channel has no vector store yet. An admin can attach one with `/dasilva addvector vs_xxxxx`.",
+    );
+    return [];
+  }
+
+  const results = [];
+
+  for (const file of files) {
+    const name = file.name || file.id;
+
+    if (!isSupportedFile(file)) {
+      logger.info(
+        `[${channelId}] (${threadTs}) ingest of ${name} refused (unsupported type ${file.filetype})`,
+      );
+      await deps.postThreadReply(
+        channelId,
+        threadTs,
+        `:no_entry_sign: \`${name}\` was not added. Supported types: PDF, Markdown and plain text.`,
+      );
+      results.push({ name, status: "unsupported" });
+      continue;
+    }
+
+    const statusMessage = await deps.postThreadReply(
+      channelId,
+      threadTs,
+      `:hourglass_flowing_sand: Processing \`${name}\`...`,
+    );
+
+    try {
+      const buffer = await deps.downloadFile(
+        file.url_private_download || file.url_private,
+      );
+      const vectorFile = await deps.addFileToVectorStore(
+        vectorId,
+        name,
+        buffer,
+      );
+
+      if (vectorFile.status !== "completed") {
+        throw new Error(
+          vectorFile.last_error?.message ||
+            `indexing finished with status ${vectorFile.status}`,
+        );
+      }
+
+      logger.info(
+        `[${channelId}] (${threadTs}) ${name} added to vector store ${vectorId} by ${userId}`,
+      );
+      await deps.updateMessage(
+        channelId,
+        statusMessage.ts,
+        `:white_check_mark: \`${name}\` added to the knowledge base.`,
+      );
+      results.push({ name, status: "completed" });
+    } catch (error) {
+      if (isOpenAIError(error)) {
+        logger.error(
+          `[${channelId}] ingest of ${name} failed (OpenAI):`,
+          summarizeOpenAIError(error),
+        );
+      } else {
+        logger.error(
+          `[${channelId}] ingest of ${name} failed:`,
+          summarizeSlackError(error),
+        );
+      }
+      await deps.updateMessage(
+        channelId,
+        statusMessage.ts,
+        `:x: \`${name}\` could not be added: ${error.message}`,
+      );
+      results.push({ name, status: "failed", error: error.message });
+    }
+  }
+
+  const added = results
+    .filter((result) => result.status === "completed")
+    .map((result) => result.name);
+  if (added.length > 0) {
+    deps.recordAudit({
+      actor: userId,
+      channelId,
+      action: "ingest",
+      oldValue: null,
+      newValue: { vectorId, files: added },
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Handle "@dasilva learn" with attached files
+ * Only admins may add documents to the knowledge base
+ */
+async function handleLearn(event, isAdmin, deps = defaultDeps) {
+  const { channel: channelId, ts, user: userId } = event;
+  const threadTs = event.thread_ts || ts;
+
+  logger.info(`[${channelId}] (${threadTs}) learn request from ${userId}`);
+
+  try {
+    if (!isAdmin) {
+      await deps.postThreadReply(
+        channelId,
+        threadTs,
+        "Only admins can add documents to my knowledge base.",
+      );
+      return;
+    }
+
+    if (!event.files?.length) {
+      await deps.postThreadReply(
+        channelId,
+        threadTs,
+        "Attach a PDF, Markdown or text file to your `learn` message and I'll add it to this channel's knowledge base.",
+      );
+      return;
+    }
+
+    await ingestFiles(
+      { channelId, threadTs, files: event.files, userId },
+      deps,
+    );
+  } catch (error) {
+    logger.error(
+      `[${channelId}] error in handleLearn:`,
+      summarizeSlackError(error),
+    );
+  }
+}
+
+/**
+ * Ingest the files attached to an existing message (via /dasilva ingest)
+ * Status is reported in the message's thread
+ * @param {Object} link - Parsed permalink ({ channel, ts, threadTs })
+ */
+async function ingestMessageFiles(link, userId, deps = defaultDeps) {
+  const { channel: channelId, ts: messageTs } = link;
+  const message = await deps.getMessage(channelId, messageTs, link.threadTs);
+  const threadTs = message?.thread_ts || link.threadTs || messageTs;
+
+  if (!message?.files?.length) {
+    await deps.postThreadReply(
+      channelId,
+      threadTs,
+      "That message has no files for me to learn from.",
+    );
+    return [];
+  }
+
+  return ingestFiles(
+    { channelId, threadTs, files: message.files, userId },
+    deps,
+  );
+}
+
+module.exports = {
+  isSupportedFile,
+  isLearnRequest,
+  ingestFiles,
+  handleLearn,
+  ingestMessageFiles,
+};
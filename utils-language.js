@@ -0,0 +1,319 @@
+const logger = require("./utils-logger");
+const { DEFAULT_LANGUAGES } = require("./utils-variables");
+
+// ============================================================================
+// LANGUAGE PACKS
+// ============================================================================
+//
+// Patterns used by ambient mode to spot questions and chatter, per language.
+// Text is lowercased and trimmed before matching. A pack is:
+//   name         - shown to admins
+//   starters     - words or phrases a question starts with (not words that
+//                  open statements as often, like pt "porque" or es "como")
+//   keywords     - phrases that mark a request for help anywhere in the text
+//   questions    - extra question regexes (for languages without spaces)
+//   chatter      - gratitude, acknowledgements and conversational fluff
+
+// Word boundaries that also work for accented letters (\b is ASCII-only)
+const WORD_END = "(?![\\p{L}\\p{N}])";
+
+function startsWithAny(words) {
+  return new RegExp(`^(?:${words.join("|")})${WORD_END}`, "u");
+}
+
+const LANGUAGE_PACKS = {
+  en: {
+    name: "English",
+    starters: [
+      "who",
+      "what",
+      "where",
+      "when",
+      "why",
+      "how",
+      "which",
+      "can",
+      "could",
+      "would",
+      "should",
+      "is",
+      "are",
+      "does",
+      "do",
+    ],
+    keywords: [
+      "help",
+      "explain",
+      "tell me",
+      "show me",
+      "how do",
+      "what is",
+      "where can",
+    ],
+    questions: [],
+    chatter: [
+      // Common gratitude / acknowledgements
+      /^thanks\b/,
+      /^thank you\b/,
+      /\bthanks\b/,
+      /\bthank you\b/,
+      /\bthx\b/,
+      /\bty\b/,
+      /\bappreciate it\b/,
+      // Simple acknowledgements / affirmations
+      /^ok\b/,
+      /^okay\b/,
+      /^got it\b/,
+      /^makes sense\b/,
+      /^understood\b/,
+      /^cool\b/,
+      /^nice\b/,
+      /^awesome\b/,
+      /^perfect\b/,
+      /^great\b/,
+      /^lol\b/,
+      /^haha\b/,
+      /^👍$/,
+      /^🙏$/,
+      // Meta / conversational fluff
+      /\blove that\b/,
+      /\bthat('?| i)s great\b/,
+      /\bbreaking the internet\b/,
+      /\busing up .* processing costs\b/,
+    ],
+  },
+  es: {
+    name: "Spanish",
+    starters: [
+      "quién",
+      "quien",
+      "qué",
+      "dónde",
+      "donde",
+      "cuándo",
+      "por qué",
+      "por que",
+      "cómo",
+      "cuál",
+      "cual",
+      "puedo",
+      "puedes",
+      "podría",
+      "hay",
+      "existe",
+    ],
+    keywords: [
+      "ayuda",
+      "explica",
+      "dime",
+      "muéstrame",
+      "necesito saber",
+      "alguien sabe",
+    ],
+    questions: [],
+    chatter: [
+      /^gracias/u,
+      /\bmuchas gracias\b/u,
+      /^(vale|ok|de acuerdo|entendido|perfecto|genial|jaja+)[\s!.]*$/u,
+    ],
+  },
+  pt: {
+    name: "Portuguese",
+    starters: [
+      "quem",
+      "o que",
+      "onde",
+      "por que",
+      "qual",
+      "quais",
+      "posso",
+      "pode",
+      "podem",
+      "existe",
+      "tem como",
+    ],
+    keywords: [
+      "ajuda",
+      "explica",
+      "me diga",
+      "me mostra",
+      "preciso saber",
+      "alguém sabe",
+    ],
+    questions: [],
+    chatter: [
+      /^(obrigad[oa]|valeu)/u,
+      /\bmuito obrigad[oa]\b/u,
+      /^(beleza|blz|entendi|certo|perfeito|show|top|kkk+|haha+)[\s!.]*$/u,
+    ],
+  },
+  fr: {
+    name: "French",
+    starters: [
+      "qui",
+      "quoi",
+      "où",
+      "pourquoi",
+      "comment",
+      "quel",
+      "quelle",
+      "quels",
+      "quelles",
+      "est-ce",
+      "puis-je",
+      "peut-on",
+      "y a-t-il",
+    ],
+    keywords: [
+      "aide",
+      "explique",
+      "dis-moi",
+      "montre-moi",
+      "besoin de savoir",
+      "quelqu'un sait",
+    ],
+    questions: [],
+    chatter: [
+      /^merci/u,
+      /\bmerci beaucoup\b/u,
+      /^(d'accord|ok|compris|parfait|génial|super|ça marche|mdr)[\s!.]*$/u,
+    ],
+  },
+  de: {
+    name: "German",
+    starters: [
+      "wer",
+      "was",
+      "wo",
+      "wann",
+      "warum",
+      "wieso",
+      "wie",
+      "welche",
+      "welcher",
+      "welches",
+      "kann",
+      "können",
+      "gibt es",
+      "ist",
+      "sind",
+    ],
+    keywords: [
+      "hilfe",
+      "erklär",
+      "sag mir",
+      "zeig mir",
+      "wie kann ich",
+      "weiß jemand",
+    ],
+    questions: [],
+    chatter: [
+      /^danke/u,
+      /\bvielen dank\b/u,
+      /^(ok|alles klar|verstanden|passt|perfekt|super|klasse)[\s!.]*$/u,
+    ],
+  },
+  ja: {
+    name: "Japanese",
+    starters: [],
+    keywords: [
+      "教えて",
+      "おしえて",
+      "助けて",
+      "手伝って",
+      "どうやって",
+      "どうすれば",
+      "どうしたら",
+      "方法は",
+      "知りたい",
+    ],
+    // No spaces between words, so questions are recognised by their endings
+    questions: [/(ですか|ますか|でしょうか|ませんか|のか|かな)[。！!\s]*$/u],
+    chatter: [
+      /ありがとう/u,
+      /^(了解|承知|なるほど|わかりました|よろしく|いいね)/u,
+    ],
+  },
+};
+
+const LANGUAGE_CODES = Object.keys(LANGUAGE_PACKS);
+
+// Compiled once per pack
+const starterPatterns = Object.fromEntries(
+  LANGUAGE_CODES.map((code) => [
+    code,
+    LANGUAGE_PACKS[code].starters.length > 0
+      ? startsWithAny(LANGUAGE_PACKS[code].starters)
+      : null,
+  ]),
+);
+
+function isLanguageCode(code) {
+  return LANGUAGE_CODES.includes(code);
+}
+
+// Used when DEFAULT_LANGUAGES names no pack: with every pack active, words
+// from one language match ordinary statements in another ("hay fever")
+const FALLBACK_LANGUAGES = ["en"];
+
+/**
+ * Language packs to use when a channel has not picked any
+ * DEFAULT_LANGUAGES entries that are not packs are ignored
+ */
+function getDefaultLanguages() {
+  const languages = DEFAULT_LANGUAGES.filter(isLanguageCode);
+  return languages.length > 0 ? languages : FALLBACK_LANGUAGES;
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Check if text matches a pack's question patterns
+ * (question marks are language-neutral and checked by the caller)
+ */
+function matchesQuestion(code, lowerText) {
+  const pack = LANGUAGE_PACKS[code];
+  if (!pack) return false;
+  if (starterPatterns[code]?.test(lowerText)) return true;
+  if (pack.keywords.some((keyword) => lowerText.includes(keyword))) return true;
+  return pack.questions.some((pattern) => pattern.test(lowerText));
+}
+
+/**
+ * Check if text matches a pack's chatter patterns
+ */
+function matchesChatter(code, lowerText) {
+  const pack = LANGUAGE_PACKS[code];
+  if (!pack) return false;
+  return pack.chatter.some((pattern) => pattern.test(lowerText));
+}
+
+/**
+ * Describe the packs for admins, e.g. "`en` English, `ja` Japanese"
+ */
+function describeLanguages(languages) {
+  return languages
+    .filter(isLanguageCode)
+    .map((code) => `\`${code}\` ${LANGUAGE_PACKS[code].name}`)
+    .join(", ");
+}
+
+const unknownDefaults = DEFAULT_LANGUAGES.filter(
+  (code) => !isLanguageCode(code),
+);
+if (unknownDefaults.length > 0) {
+  logger.warn(
+    `Unknown DEFAULT_LANGUAGES entries ignored: ${unknownDefaults.join(", ")} (available: ${LANGUAGE_CODES.join(", ")})`,
+  );
+}
+
+module.exports = {
+  LANGUAGE_CODES,
+  isLanguageCode,
+  getDefaultLanguages,
+  matchesQuestion,
+  matchesChatter,
+  describeLanguages,
+};
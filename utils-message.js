@@ -1,25 +1,57 @@
+const crypto = require("crypto");
 const logger = require("./utils-logger");
+const { getRedisClient, buildKey } = require("./utils-redis");
 const channelConfigModule = require("./utils-channel");
-const { getVectorId } = require("./utils-preferences");
+const {
+  getVectorIds,
+  getChannelInstructions,
+  getChannelModel,
+  getChannelMaxOutputTokens,
+  getChannelRetrievalThreshold,
+  setLastActiveChannel,
+} = require("./utils-preferences");
+const { recordUsage } = require("./utils-usage");
+const {
+  isAmbientWithinBudget,
+  getExhaustedBudget,
+  budgetExhaustedMessage,
+  recordBudgetUsage,
+} = require("./utils-budget");
 const {
   postThreadReply,
   postEphemeral,
-  updateMessage,
+  createThrottledUpdater,
+  textSections,
   getThreadHistory,
+  postToResponseUrl,
   summarizeSlackError,
 } = require("./utils-slack");
+const { callOpenAIWithCache } = require("./utils-cache");
+const { findFaq, formatFaqAnswer } = require("./utils-faq");
+const {
+  formatCitations,
+  formatSourcesText,
+  sourcesBlocks,
+} = require("./utils-citations");
+const {
+  getDefaultLanguages,
+  matchesQuestion,
+  matchesChatter,
+} = require("./utils-language");
 const {
-  callOpenAI,
   summarizeOpenAIResponse,
   summarizeOpenAIError,
+  summarizeRetrieval,
   isOpenAIError,
 } = require("./utils-openai");
 const { markThreadActive } = require("./utils-threads");
-const { recordResponse } = require("./utils-ratelimit");
+const { releaseAmbientResponse } = require("./utils-ratelimit");
 const {
   THREAD_CONTEXT_MESSAGES,
   EPHEMERAL_FOOTER,
   FEEDBACK_EMOJI,
+  STREAM_UPDATE_INTERVAL_MS,
+  LOW_CONFIDENCE_NOTE,
 } = require("./utils-variables");
 
 // ============================================================================
@@ -44,54 +76,24 @@ function setBotUserId(userId) {
 /**
  * Check if message looks like a question that needs answering
  * Used for ambient mode to determine if bot should respond
+ * @param {string[]} [languages] - Language packs to match (see utils-language.js)
  */
-function looksLikeQuestion(text) {
+function looksLikeQuestion(text, languages = getDefaultLanguages()) {
   const lowerText = text.toLowerCase().trim();
 
-  // Ends with question mark
-  if (lowerText.endsWith("?")) return true;
-
-  // Starts with question words
-  const questionStarters = [
-    "who",
-    "what",
-    "where",
-    "when",
-    "why",
-    "how",
-    "which",
-    "can",
-    "could",
-    "would",
-    "should",
-    "is",
-    "are",
-    "does",
-    "do",
-  ];
-  const firstWord = lowerText.split(" ")[0];
-  if (questionStarters.includes(firstWord)) return true;
-
-  // Contains help/explain/tell keywords
-  const helpKeywords = [
-    "help",
-    "explain",
-    "tell me",
-    "show me",
-    "how do",
-    "what is",
-    "where can",
-  ];
-  if (helpKeywords.some((keyword) => lowerText.includes(keyword))) return true;
-
-  return false;
+  // Ends with a question mark (ASCII or full-width), or opens with Spanish ¿
+  if (/[?？]$/.test(lowerText) || lowerText.startsWith("¿")) return true;
+
+  // Starts with question words, or contains help/explain/tell keywords
+  return languages.some((code) => matchesQuestion(code, lowerText));
 }
 
 /**
  * Check if message looks like gratitude, humor, affirmation
  * Used for ambient mode to determine if bot should respond
+ * @param {string[]} [languages] - Language packs to match (see utils-language.js)
  */
-function looksLikeChatter(text) {
+function looksLikeChatter(text, languages = getDefaultLanguages()) {
   if (!text) return false;
 
   const lowerText = text.toLowerCase().trim();
@@ -102,50 +104,7 @@ function looksLikeChatter(text) {
   //   return true;
   // }
 
-  // Common gratitude / acknowledgements
-  const gratitudePatterns = [
-    /^thanks\b/,
-    /^thank you\b/,
-    /\bthanks\b/,
-    /\bthank you\b/,
-    /\bthx\b/,
-    /\bty\b/,
-    /\bappreciate it\b/,
-  ];
-
-  // Simple acknowledgements / affirmations
-  const acknowledgmentPatterns = [
-    /^ok\b/,
-    /^okay\b/,
-    /^got it\b/,
-    /^makes sense\b/,
-    /^understood\b/,
-    /^cool\b/,
-    /^nice\b/,
-    /^awesome\b/,
-    /^perfect\b/,
-    /^great\b/,
-    /^lol\b/,
-    /^haha\b/,
-    /^👍$/,
-    /^🙏$/,
-  ];
-
-  // Meta / conversational fluff
-  const conversationalPatterns = [
-    /\blove that\b/,
-    /\bthat('?| i)s great\b/,
-    /\bbreaking the internet\b/,
-    /\busing up .* processing costs\b/,
-  ];
-
-  const allPatterns = [
-    ...gratitudePatterns,
-    ...acknowledgmentPatterns,
-    ...conversationalPatterns,
-  ];
-
-  return allPatterns.some((pattern) => pattern.test(lowerText));
+  return languages.some((code) => matchesChatter(code, lowerText));
 }
 
 // ============================================================================
@@ -154,14 +113,259 @@ function looksLikeChatter(text) {
 
 /**
  * Check if channel is configured and has a vector store
- * Returns context object or null
+ * Returns context object (with per-channel OpenAI overrides) or null
  */
 function getChannelContext(channelId) {
   const config = channelConfigModule.getChannel(channelId);
   if (!config) return null;
-  const vectorId = getVectorId(channelId);
-  if (!vectorId) return null;
-  return { config, vectorId };
+  const vectorIds = getVectorIds(channelId);
+  if (vectorIds.length === 0) return null;
+  const overrides = {
+    instructions: getChannelInstructions(channelId),
+    model: getChannelModel(channelId),
+    maxOutputTokens: getChannelMaxOutputTokens(channelId),
+  };
+  return { config, vectorIds, overrides };
+}
+
+// ============================================================================
+// RETRIEVAL CONFIDENCE
+// ============================================================================
+
+/**
+ * Check whether an answer is backed by documents that match the question:
+ * the best file_search score must reach the channel's retrieval threshold
+ * (a threshold of 0 turns the check off). Logs the scores and the decision.
+ * @param {string} logContext - Prefix for the log line (e.g. "[C123] (ts)")
+ * @returns {Object} { confident, reason, threshold, searched, resultCount,
+ *   topScore, topScores }; reason is "no_search", "no_results" or
+ *   "low_score" when not confident, otherwise null
+ */
+function assessRetrieval(channelId, logContext, response) {
+  const retrieval = summarizeRetrieval(response);
+  const threshold = getChannelRetrievalThreshold(channelId);
+
+  let reason = null;
+  if (threshold > 0) {
+    if (!retrieval.searched) reason = "no_search";
+    else if (retrieval.resultCount === 0) reason = "no_results";
+    else if (retrieval.topScore < threshold) reason = "low_score";
+  }
+
+  logger.info(
+    `${logContext} retrieval ${reason ? "below threshold" : "ok"}`,
+    JSON.stringify({ ...retrieval, threshold, reason }),
+  );
+  return { confident: reason === null, reason, threshold, ...retrieval };
+}
+
+// ============================================================================
+// PRIVATE (EPHEMERAL) ANSWERS
+// ============================================================================
+
+/**
+ * Split a long reply into a first part (sent with blocks) and plain-text
+ * continuation parts, breaking at sentence or paragraph boundaries
+ * @param {string} reply - Full reply text
+ * @returns {Object} { firstPartReply, continuationParts }
+ */
+function splitReply(reply) {
+  // Slack blocks have a 3000 character limit for section text
+  // Reserve space for the prefix and footer
+  const maxFirstMessageLength = 2900 - EPHEMERAL_FOOTER.length;
+  let firstPartReply = reply;
+  const continuationParts = [];
+
+  if (reply.length <= maxFirstMessageLength) {
+    return { firstPartReply, continuationParts };
+  }
+
+  firstPartReply = reply.substring(0, maxFirstMessageLength);
+
+  // Find a good break point (end of sentence or paragraph)
+  const lastPeriod = firstPartReply.lastIndexOf(". ");
+  const lastNewline = firstPartReply.lastIndexOf("\n");
+  const breakPoint = Math.max(lastPeriod, lastNewline);
+
+  if (breakPoint > maxFirstMessageLength * 0.8) {
+    // If we found a good break point in the last 20%, use it
+    firstPartReply = reply.substring(0, breakPoint + 1).trim();
+  }
+
+  // Split the rest into chunks (ephemeral messages can be longer without blocks)
+  let remainingText = reply.substring(firstPartReply.length).trim();
+  const maxContinuationLength = 3500; // Plain text can be a bit longer
+
+  while (remainingText.length > 0) {
+    if (remainingText.length <= maxContinuationLength) {
+      continuationParts.push(remainingText);
+      break;
+    }
+
+    // Find a good break point
+    let chunk = remainingText.substring(0, maxContinuationLength);
+    const lastPeriod = chunk.lastIndexOf(". ");
+    const lastNewline = chunk.lastIndexOf("\n");
+    const breakPoint = Math.max(lastPeriod, lastNewline);
+
+    if (breakPoint > maxContinuationLength * 0.8) {
+      chunk = remainingText.substring(0, breakPoint + 1).trim();
+    }
+
+    continuationParts.push(chunk);
+    remainingText = remainingText.substring(chunk.length).trim();
+  }
+
+  return { firstPartReply, continuationParts };
+}
+
+// ============================================================================
+// PROMOTABLE ANSWERS (between a private answer and its Promote button)
+// ============================================================================
+//
+// Held in Redis: Slack limits button values to 2000 characters, too little
+// for a long answer with its sources, and the click can reach any replica.
+
+// Ephemeral answers stay on screen until the user reloads Slack
+const PROMOTABLE_ANSWER_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Hold the text a Promote button posts
+ * @param {Object} answer - { reply, question } (question for private asks)
+ * @returns {Promise<string|null>} Token for the button value, or null if
+ *   Redis is unavailable
+ */
+async function storePromotableAnswer(answer) {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  const token = crypto.randomUUID();
+  try {
+    await redis.setEx(
+      buildKey("promote", token),
+      PROMOTABLE_ANSWER_TTL_SECONDS,
+      JSON.stringify(answer),
+    );
+    return token;
+  } catch (error) {
+    logger.error("Error storing promotable answer:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Take a promotable answer (one use only, so a double click posts once)
+ * Returns null if missing or expired
+ */
+async function takePromotableAnswer(token) {
+  const redis = getRedisClient();
+  if (!redis || !token) return null;
+
+  try {
+    const stored = await redis.getDel(buildKey("promote", token));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    logger.error("Error reading promotable answer:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Send a private answer with a "Promote to public thread" button,
+ * splitting long replies into continuation messages
+ * @param {Function} post - (text, options) => Promise, delivers one message
+ * @param {Object} params - { channelId, messageTs, userId, reply, question, sources }
+ *   messageTs is the message to promote under; without it (e.g. /dasilva ask)
+ *   the question is posted first and the answer goes in its thread.
+ *   sources (see utils-citations.js) are listed under the first message.
+ *   The button is left out when the answer can't be stored for promotion.
+ * @param {Object} [progress] - { sentParts }: messages already delivered,
+ *   updated after each one. A retried job passes its job.state so it resumes
+ *   instead of sending the same messages again.
+ */
+async function sendPrivateAnswer(
+  post,
+  { channelId, messageTs, userId, reply, question, sources = [] },
+  progress = {},
+) {
+  const { firstPartReply, continuationParts } = splitReply(reply);
+  progress.sentParts ??= 0;
+
+  if (continuationParts.length > 0) {
+    logger.info(
+      `[${channelId}] (${messageTs}) split response into ${1 + continuationParts.length} messages (${reply.length} total chars)`,
+    );
+  }
+
+  const ephemeralText = `_Only visible to you:_\n\n${firstPartReply}${continuationParts.length > 0 ? "\n\n_(continued below...)_" : ""}${EPHEMERAL_FOOTER}`;
+
+  if (progress.sentParts === 0) {
+    // Always promote the full response, with its sources as text
+    const promoteToken = await storePromotableAnswer({
+      question: messageTs ? null : question,
+      reply:
+        sources.length > 0
+          ? `${reply}\n\n${formatSourcesText(sources)}`
+          : reply,
+    });
+
+    try {
+      // Send first message with blocks and promote button
+      await post(ephemeralText, {
+        blocks: [
+          {
+            type: "section",
+            text: {
+              type: "mrkdwn",
+              text: ephemeralText,
+            },
+          },
+          ...sourcesBlocks(sources),
+          ...(promoteToken
+            ? [
+                {
+                  type: "actions",
+                  elements: [
+                    {
+                      type: "button",
+                      text: {
+                        type: "plain_text",
+                        text: "Promote to public thread",
+                      },
+                      action_id: "promote_to_public",
+                      value: JSON.stringify({
+                        channel: channelId,
+                        messageTs: messageTs || null,
+                        token: promoteToken,
+                      }),
+                    },
+                  ],
+                },
+              ]
+            : []),
+        ],
+      });
+    } catch (blockError) {
+      // If blocks fail (e.g., invalid formatting), fall back to plain text
+      logger.warn(
+        `[${channelId}] (${messageTs}) blocks failed for ${userId}, falling back to plain text:`,
+        blockError.message,
+      );
+
+      await post(ephemeralText);
+    }
+    progress.sentParts = 1;
+  }
+
+  // Send continuation messages if needed (also in fallback mode)
+  for (let i = progress.sentParts - 1; i < continuationParts.length; i++) {
+    const partNumber = i + 2;
+    const isLast = i === continuationParts.length - 1;
+    const continuationText = `_Continued (part ${partNumber}/${1 + continuationParts.length}):_\n\n${continuationParts[i]}${isLast ? EPHEMERAL_FOOTER : ""}`;
+
+    await post(continuationText);
+    progress.sentParts = partNumber;
+  }
 }
 
 // ============================================================================
@@ -171,8 +375,11 @@ function getChannelContext(channelId) {
 /**
  * Handle @mention events and active thread follow-ups
  * Reply publicly in a thread
+ * @param {Object} event - Slack message event
+ * @param {Object} [job] - Queue job context (see utils-queue.js); transient
+ *   errors are rethrown when job.willRetry(error) so the job is retried
  */
-async function handleMention(event) {
+async function handleMention(event, job = null) {
   const { text, channel: channelId, ts, user: userId } = event;
   const threadTs = event.thread_ts || ts;
 
@@ -189,15 +396,66 @@ async function handleMention(event) {
     return;
   }
 
-  // Post initial "thinking" message
-  let thinkingMessage;
+  // Default knowledge base for this user's direct messages
+  setLastActiveChannel(userId, channelId);
+
+  // Curated answers take precedence over (and cost nothing unlike) the model
+  const match = findFaq(channelId, text);
+  if (match) {
+    try {
+      await postThreadReply(channelId, threadTs, formatFaqAnswer(match.faq));
+      await markThreadActive(channelId, threadTs);
+      logger.info(
+        `[${channelId}] (${event.ts}) curated answer #${match.faq.id} to ${userId} (trigger "${match.trigger}")`,
+      );
+    } catch (error) {
+      if (job?.willRetry(error)) throw error;
+      logger.error(
+        `[${channelId}] error sending curated answer to ${userId}:`,
+        summarizeSlackError(error),
+      );
+      try {
+        await postThreadReply(
+          channelId,
+          threadTs,
+          "Sorry, I encountered an error processing your request.",
+        );
+      } catch (slackError) {
+        logger.error(
+          "Error posting curated answer error:",
+          summarizeSlackError(slackError),
+        );
+      }
+    }
+    return;
+  }
+
+  const exhaustedBudget = await getExhaustedBudget(channelId);
+  if (exhaustedBudget) {
+    logger.info(
+      `[${channelId}] (${threadTs}) mention from ${userId} not answered (budget exhausted)`,
+    );
+    await postThreadReply(
+      channelId,
+      threadTs,
+      budgetExhaustedMessage(channelId, exhaustedBudget),
+    );
+    return;
+  }
+
+  // Post initial "thinking" message (a retried job reuses its message)
+  let thinkingMessage = job?.state.thinkingTs
+    ? { ts: job.state.thinkingTs }
+    : null;
   try {
-    thinkingMessage = await postThreadReply(
+    thinkingMessage ??= await postThreadReply(
       channelId,
       threadTs,
       "_Thinking..._",
     );
+    if (job) job.state.thinkingTs = thinkingMessage.ts;
   } catch (error) {
+    if (job?.willRetry(error)) throw error;
     logger.error("Error posting thinking message:", error);
     // Fallback to original behavior if we can't post the thinking message
     await postThreadReply(
@@ -218,8 +476,25 @@ async function handleMention(event) {
       )
     : [];
 
+  // Show the answer as it is generated, then replace it with the final text
+  const streamer = createThrottledUpdater(
+    channelId,
+    thinkingMessage.ts,
+    STREAM_UPDATE_INTERVAL_MS,
+    (partial) => `${partial}\n\n_Writing..._`,
+  );
+
   try {
-    const response = await callOpenAI(userMessage, ctx.vectorId, threadHistory);
+    const response = await callOpenAIWithCache(
+      channelId,
+      userMessage,
+      ctx.vectorIds,
+      threadHistory,
+      ctx.overrides,
+      (partial) => streamer.update(partial),
+    );
+    recordUsage({ channelId, userId, response });
+    recordBudgetUsage(channelId, response);
     const reply = response.output_text;
 
     if (!reply?.trim()) {
@@ -237,8 +512,7 @@ async function handleMention(event) {
           "I was unable to answer due to complexity. Please try to rephrase your question.";
       } else if (responseSummary.status === "completed") {
         logger.info(`[${channelId}] (${threadTs}) llm untrained response`);
-        reasonText =
-          `Sorry, I'm not able to answer that question. It may be outside the scope of what I've been trained on in this channel. If you have feedback, react with :${FEEDBACK_EMOJI}:.`;
+        reasonText = `Sorry, I'm not able to answer that question. It may be outside the scope of what I've been trained on in this channel. If you have feedback, react with :${FEEDBACK_EMOJI}:.`;
       } else {
         logger.info(
           `[${channelId}] (${threadTs}) llm empty response with unexpected status`,
@@ -253,13 +527,27 @@ async function handleMention(event) {
       );
 
       // Update the thinking message with the error
-      await updateMessage(channelId, thinkingMessage.ts, reasonText);
+      await streamer.finish(reasonText);
 
       return;
     }
 
-    // Update the thinking message with the actual response
-    await updateMessage(channelId, thinkingMessage.ts, reply);
+    // Replace the streamed text with the complete response
+    const retrieval = assessRetrieval(
+      channelId,
+      `[${channelId}] (${threadTs})`,
+      response,
+    );
+    const { text: answer, sources } = formatCitations(response, ctx.vectorIds);
+    const finalText = retrieval.confident
+      ? answer
+      : `${answer}${LOW_CONFIDENCE_NOTE}`;
+    await streamer.finish(
+      finalText,
+      sources.length > 0
+        ? { blocks: [...textSections(finalText), ...sourcesBlocks(sources)] }
+        : {},
+    );
 
     await markThreadActive(channelId, threadTs);
 
@@ -279,12 +567,24 @@ async function handleMention(event) {
       logger.error("Error in handleMention:", error);
     }
 
-    // Update the thinking message with the error
+    // Start over in the same message on the next attempt
+    if (job?.willRetry(error)) {
+      await streamer.finish("_Thinking..._").catch((slackError) => {
+        logger.error(
+          "Error resetting thinking message for retry:",
+          summarizeSlackError(slackError),
+        );
+      });
+      throw error;
+    }
+
+    // Keep any partial answer visible and note that it was cut short
+    const partial = streamer.getText().trim();
     try {
-      await updateMessage(
-        channelId,
-        thinkingMessage.ts,
-        "Sorry, I encountered an error processing your request.",
+      await streamer.finish(
+        partial
+          ? `${partial}\n\n_Sorry, I encountered an error and couldn't finish this answer._`
+          : "Sorry, I encountered an error processing your request.",
       );
     } catch (slackError) {
       logger.error(
@@ -298,178 +598,254 @@ async function handleMention(event) {
 /**
  * Handle ambient questions in root channel messages
  * Reply ephemerally to avoid channel spam
+ * @param {Object} [job] - Queue job context (see handleMention)
  */
-async function handleAmbient(event) {
+async function handleAmbient(event, job = null) {
   const { text, user: userId, channel: channelId } = event;
 
-  const ctx = getChannelContext(channelId);
-  if (!ctx) return;
+  // The rate limit slot reserved when the message was admitted (see app.js)
+  // is given back whenever no answer is sent
+  const releaseSlot = () => releaseAmbientResponse(channelId, userId, event.ts);
 
-  logger.info(`[${channelId}] (${event.ts}) ambient request from ${userId}`);
+  // Messages delivered so far (kept on the job between attempts)
+  const progress = job?.state || {};
 
-  try {
-    const response = await callOpenAI(text, ctx.vectorId);
-    logger.debug("OpenAI response:", response);
+  const ctx = getChannelContext(channelId);
+  if (!ctx) {
+    await releaseSlot();
+    return;
+  }
 
-    const reply = response.output_text;
+  logger.info(`[${channelId}] (${event.ts}) ambient request from ${userId}`);
+  setLastActiveChannel(userId, channelId);
 
-    if (!reply?.trim()) {
-      logger.info(
-        `[${channelId}] (${event.ts}) ephemeral response for ${userId} suppressed (empty reply)`,
+  const match = findFaq(channelId, text);
+  if (match) {
+    try {
+      await sendPrivateAnswer(
+        (messageText, options) =>
+          postEphemeral(channelId, userId, messageText, options),
+        {
+          channelId,
+          messageTs: event.ts,
+          userId,
+          reply: formatFaqAnswer(match.faq),
+        },
+        progress,
       );
-      return;
-    }
-
-    // Suppress responses where the model says it can't answer
-    const declinePatterns = [
-      "not been trained",
-      "not trained",
-      "outside the scope",
-      "outside of the scope",
-      "don't have information",
-      "do not have information",
-      "no relevant documentation",
-      "not covered by the documentation",
-      "cannot answer",
-      "can't answer",
-      "unable to answer",
-      "not able to answer",
-    ];
-    if (declinePatterns.some((p) => reply.toLowerCase().includes(p))) {
       logger.info(
-        `[${channelId}] (${event.ts}) ephemeral response for ${userId} suppressed (${p})`,
+        `[${channelId}] (${event.ts}) curated ephemeral answer #${match.faq.id} to ${userId} (trigger "${match.trigger}")`,
       );
-      return;
+    } catch (error) {
+      logger.error(
+        `[${channelId}] error sending curated answer to ${userId}:`,
+        summarizeSlackError(error),
+      );
+      if (!progress.sentParts) await releaseSlot();
     }
+    return;
+  }
 
-    // Slack blocks have a 3000 character limit for section text
-    // Reserve space for the prefix and footer
-    const maxFirstMessageLength = 2900 - EPHEMERAL_FOOTER.length;
-    let firstPartReply = reply;
-    let continuationParts = [];
-
-    // Split long responses into multiple messages
-    if (reply.length > maxFirstMessageLength) {
-      firstPartReply = reply.substring(0, maxFirstMessageLength);
-
-      // Find a good break point (end of sentence or paragraph)
-      const lastPeriod = firstPartReply.lastIndexOf(". ");
-      const lastNewline = firstPartReply.lastIndexOf("\n");
-      const breakPoint = Math.max(lastPeriod, lastNewline);
-
-      if (breakPoint > maxFirstMessageLength * 0.8) {
-        // If we found a good break point in the last 20%, use it
-        firstPartReply = reply.substring(0, breakPoint + 1).trim();
-      }
+  // A retried job resumes with the answer it already paid for, and
+  // sendPrivateAnswer skips the messages it already delivered
+  let answer = progress.answer || null;
 
-      // Split the rest into chunks (ephemeral messages can be longer without blocks)
-      let remainingText = reply.substring(firstPartReply.length).trim();
-      const maxContinuationLength = 3500; // Plain text can be a bit longer
+  if (!answer && !(await isAmbientWithinBudget(channelId))) {
+    logger.info(
+      `[${channelId}] (${event.ts}) ambient response for ${userId} suppressed (budget)`,
+    );
+    await releaseSlot();
+    return;
+  }
 
-      while (remainingText.length > 0) {
-        if (remainingText.length <= maxContinuationLength) {
-          continuationParts.push(remainingText);
-          break;
-        }
+  try {
+    if (!answer) {
+      const response = await callOpenAIWithCache(
+        channelId,
+        text,
+        ctx.vectorIds,
+        [],
+        ctx.overrides,
+      );
+      recordUsage({ channelId, userId, response });
+      recordBudgetUsage(channelId, response);
+      logger.debug("OpenAI response:", response);
 
-        // Find a good break point
-        let chunk = remainingText.substring(0, maxContinuationLength);
-        const lastPeriod = chunk.lastIndexOf(". ");
-        const lastNewline = chunk.lastIndexOf("\n");
-        const breakPoint = Math.max(lastPeriod, lastNewline);
+      const reply = response.output_text;
 
-        if (breakPoint > maxContinuationLength * 0.8) {
-          chunk = remainingText.substring(0, breakPoint + 1).trim();
-        }
+      if (!reply?.trim()) {
+        logger.info(
+          `[${channelId}] (${event.ts}) ephemeral response for ${userId} suppressed (empty reply)`,
+        );
+        await releaseSlot();
+        return;
+      }
 
-        continuationParts.push(chunk);
-        remainingText = remainingText.substring(chunk.length).trim();
+      // Only answer unprompted when the documents found match the question
+      const retrieval = assessRetrieval(
+        channelId,
+        `[${channelId}] (${event.ts})`,
+        response,
+      );
+      if (!retrieval.confident) {
+        logger.info(
+          `[${channelId}] (${event.ts}) ephemeral response for ${userId} suppressed (retrieval ${retrieval.reason})`,
+          JSON.stringify(summarizeOpenAIResponse(response)),
+        );
+        await releaseSlot();
+        return;
       }
 
       logger.info(
-        `[${channelId}] (${event.ts}) split response into ${1 + continuationParts.length} messages (${reply.length} total chars)`,
+        `[${channelId}] (${event.ts})  `,
+        JSON.stringify(summarizeOpenAIResponse(response)),
       );
+      answer = formatCitations(response, ctx.vectorIds);
+      progress.answer = answer;
     }
 
-    const ephemeralText = `_Only visible to you:_\n\n${firstPartReply}${continuationParts.length > 0 ? "\n\n_(continued below...)_" : ""}${EPHEMERAL_FOOTER}`;
+    await sendPrivateAnswer(
+      (messageText, options) =>
+        postEphemeral(channelId, userId, messageText, options),
+      {
+        channelId,
+        messageTs: event.ts,
+        userId,
+        reply: answer.text,
+        sources: answer.sources,
+      },
+      progress,
+    );
 
-    try {
-      // Send first message with blocks and promote button
-      await postEphemeral(channelId, userId, ephemeralText, {
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: ephemeralText,
-            },
-          },
-          {
-            type: "actions",
-            elements: [
-              {
-                type: "button",
-                text: {
-                  type: "plain_text",
-                  text: "Promote to public thread",
-                },
-                action_id: "promote_to_public",
-                value: JSON.stringify({
-                  channel: channelId,
-                  messageTs: event.ts,
-                  reply: reply, // Always promote the full response
-                }),
-              },
-            ],
-          },
-        ],
-      });
+    logger.info(`[${channelId}] (${event.ts}) ephemeral response to ${userId}`);
+  } catch (error) {
+    if (isOpenAIError(error)) {
+      logger.error(
+        `[${channelId}] error in handleAmbient (OpenAI) for ${userId}:`,
+        summarizeOpenAIError(error),
+      );
+    } else {
+      logger.error(
+        `[${channelId}] error in handleAmbient (Slack) for ${userId}:`,
+        summarizeSlackError(error),
+      );
+    }
 
-      // Send continuation messages if needed
-      for (let i = 0; i < continuationParts.length; i++) {
-        const partNumber = i + 2;
-        const isLast = i === continuationParts.length - 1;
-        const continuationText = `_Continued (part ${partNumber}/${1 + continuationParts.length}):_\n\n${continuationParts[i]}${isLast ? EPHEMERAL_FOOTER : ""}`;
+    if (job?.willRetry(error)) throw error;
+    if (!progress.sentParts) await releaseSlot();
+  }
+}
 
-        await postEphemeral(channelId, userId, continuationText);
-      }
-    } catch (blockError) {
-      // If blocks fail (e.g., invalid formatting), fall back to plain text
-      logger.warn(
-        `[${channelId}] (${event.ts}) blocks failed for ${userId}, falling back to plain text:`,
-        blockError.message,
-      );
+/**
+ * Handle a private question from /dasilva ask
+ * Not subject to ambient silence or cooldown. The slash command has already
+ * been acknowledged, so every reply goes through the command's response_url.
+ */
+async function handleAsk({ channelId, userId, question, responseUrl }) {
+  // The first message replaces the "Thinking..." acknowledgement
+  let replaceOriginal = true;
+  const post = (messageText, options = {}) => {
+    const payload = {
+      response_type: "ephemeral",
+      replace_original: replaceOriginal,
+      text: messageText,
+      ...options,
+    };
+    replaceOriginal = false;
+    return postToResponseUrl(responseUrl, payload);
+  };
+
+  logger.info(`[${channelId}] private ask from ${userId}`);
 
-      await postEphemeral(channelId, userId, ephemeralText);
+  const ctx = getChannelContext(channelId);
+  if (!ctx) {
+    await post("Sorry, I'm not trained for this channel yet.");
+    return;
+  }
+  setLastActiveChannel(userId, channelId);
 
-      // Still send continuation parts even in fallback mode
-      for (let i = 0; i < continuationParts.length; i++) {
-        const partNumber = i + 2;
-        const isLast = i === continuationParts.length - 1;
-        const continuationText = `_Continued (part ${partNumber}/${1 + continuationParts.length}):_\n\n${continuationParts[i]}${isLast ? EPHEMERAL_FOOTER : ""}`;
+  const match = findFaq(channelId, question);
+  if (match) {
+    await sendPrivateAnswer(post, {
+      channelId,
+      userId,
+      reply: formatFaqAnswer(match.faq),
+      question,
+    });
+    logger.info(
+      `[${channelId}] curated private ask answer #${match.faq.id} to ${userId} (trigger "${match.trigger}")`,
+    );
+    return;
+  }
 
-        await postEphemeral(channelId, userId, continuationText);
-      }
+  const exhaustedBudget = await getExhaustedBudget(channelId);
+  if (exhaustedBudget) {
+    logger.info(
+      `[${channelId}] private ask from ${userId} not answered (budget exhausted)`,
+    );
+    await post(budgetExhaustedMessage(channelId, exhaustedBudget));
+    return;
+  }
+
+  try {
+    const response = await callOpenAIWithCache(
+      channelId,
+      question,
+      ctx.vectorIds,
+      [],
+      ctx.overrides,
+    );
+    recordUsage({ channelId, userId, response });
+    recordBudgetUsage(channelId, response);
+    const reply = response.output_text;
+
+    if (!reply?.trim()) {
+      logger.info(
+        `[${channelId}] private ask from ${userId} got empty llm response`,
+        JSON.stringify(summarizeOpenAIResponse(response)),
+      );
+      await post(
+        "Sorry, I'm not able to answer that question. It may be outside the scope of what I've been trained on in this channel.",
+      );
+      return;
     }
 
-    recordResponse(channelId, userId);
-    logger.info(`[${channelId}] (${event.ts}) ephemeral response to ${userId}`);
+    const retrieval = assessRetrieval(channelId, `[${channelId}]`, response);
+    const { text: answer, sources } = formatCitations(response, ctx.vectorIds);
+    await sendPrivateAnswer(post, {
+      channelId,
+      userId,
+      reply: retrieval.confident ? answer : `${answer}${LOW_CONFIDENCE_NOTE}`,
+      question,
+      sources,
+    });
+
+    logger.info(`[${channelId}] private ask response to ${userId}`);
     logger.info(
-      `[${channelId}] (${event.ts})  `,
+      `[${channelId}]  `,
       JSON.stringify(summarizeOpenAIResponse(response)),
     );
   } catch (error) {
     if (isOpenAIError(error)) {
       logger.error(
-        `[${channelId}] error in handleAmbient (OpenAI) for ${userId}:`,
+        `[${channelId}] error in handleAsk (OpenAI) for ${userId}:`,
         summarizeOpenAIError(error),
       );
     } else {
       logger.error(
-        `[${channelId}] error in handleAmbient (Slack) for ${userId}:`,
+        `[${channelId}] error in handleAsk (Slack) for ${userId}:`,
         summarizeSlackError(error),
       );
     }
+
+    try {
+      await post("Sorry, I encountered an error processing your request.");
+    } catch (slackError) {
+      logger.error(
+        "Error posting ask failure:",
+        summarizeSlackError(slackError),
+      );
+    }
   }
 }
 
@@ -549,8 +925,11 @@ module.exports = {
   looksLikeQuestion,
   looksLikeChatter,
   getChannelContext,
+  assessRetrieval,
   handleMention,
   handleAmbient,
+  handleAsk,
   handleReactionAdded,
+  takePromotableAnswer,
   setBotUserId,
 };
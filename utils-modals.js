@@ -1,8 +1,23 @@
 const logger = require("./utils-logger");
 const channelConfigModule = require("./utils-channel");
-const { deleteChannelPreference } = require("./utils-preferences");
-const { openView, postMessage } = require("./utils-slack");
+const {
+  deleteChannelPreference,
+  getChannelPreference,
+  getChannelInstructions,
+  getAllChannelPreferences,
+  getVectorIds,
+  updateChannelPreference,
+} = require("./utils-preferences");
+const { recordAudit } = require("./utils-audit");
+const {
+  openView,
+  postMessage,
+  downloadFile,
+  summarizeSlackError,
+} = require("./utils-slack");
+const { loadInstructions, isValidVectorId } = require("./utils-openai");
 const modalDefs = require("./modal-definitions");
+const configModule = require("./utils-config");
 const { FEEDBACK_CHANNEL } = require("./utils-variables");
 
 // ============================================================================
@@ -56,6 +71,9 @@ async function handleLeaveChannelSubmission(view, userId) {
     };
   }
 
+  // Snapshot the configuration for the audit log before it is removed
+  const previousPreference = getChannelPreference(channelId);
+
   // Delete the channel
   const result = channelConfigModule.leave(channelId);
 
@@ -72,11 +90,110 @@ async function handleLeaveChannelSubmission(view, userId) {
   deleteChannelPreference(channelId);
 
   logger.info(`[${channelId}] channel left by admin ${userId}`);
+  recordAudit({
+    actor: userId,
+    channelId,
+    action: "leave",
+    oldValue: previousPreference,
+    newValue: null,
+  });
 
   // Clear the modal
   return { response_action: "clear" };
 }
 
+/**
+ * Open the channel instructions modal
+ * Prefills the channel's custom instructions, or the global file if none
+ */
+async function openInstructionsModal(triggerId, channelId) {
+  const customInstructions = getChannelInstructions(channelId);
+  let currentInstructions = customInstructions;
+
+  if (!currentInstructions) {
+    try {
+      currentInstructions = loadInstructions();
+    } catch (error) {
+      logger.warn("Unable to load global instructions:", error.message);
+      currentInstructions = null;
+    }
+  }
+
+  try {
+    await openView(
+      triggerId,
+      modalDefs.instructionsModal(
+        channelId,
+        currentInstructions,
+        Boolean(customInstructions),
+      ),
+    );
+  } catch (error) {
+    logger.error("Error opening instructions modal:", error);
+    throw error;
+  }
+}
+
+/**
+ * Handle channel instructions modal submission
+ * Saves custom instructions, or resets to global when requested or empty
+ */
+async function handleInstructionsSubmission(view, userId) {
+  const channelId = view.private_metadata;
+
+  if (!channelConfigModule.channelExists(channelId)) {
+    return {
+      response_action: "errors",
+      errors: {
+        instructions_block: "Channel not found",
+      },
+    };
+  }
+
+  const values = view.state.values;
+  const instructions = (
+    values.instructions_block?.instructions_input?.value || ""
+  ).trim();
+  const previousInstructions = getChannelInstructions(channelId);
+
+  // The modal is prefilled with instructions.md when a channel has none;
+  // saving that text unchanged must not freeze a copy of it on the channel
+  let globalInstructions = null;
+  try {
+    globalInstructions = loadInstructions().trim();
+  } catch (error) {
+    logger.warn("Unable to load global instructions:", error.message);
+  }
+  const reset =
+    values.reset_block?.reset_input?.selected_options?.length > 0 ||
+    !instructions ||
+    instructions === globalInstructions;
+
+  if (reset && !previousInstructions) {
+    return { response_action: "clear" };
+  }
+
+  if (reset) {
+    updateChannelPreference(channelId, { instructions: null });
+    logger.info(`[${channelId}] custom instructions reset by admin ${userId}`);
+  } else {
+    updateChannelPreference(channelId, { instructions });
+    logger.info(
+      `[${channelId}] custom instructions updated by admin ${userId} (${instructions.length} chars)`,
+    );
+  }
+
+  recordAudit({
+    actor: userId,
+    channelId,
+    action: reset ? "instructions reset" : "instructions",
+    oldValue: previousInstructions,
+    newValue: reset ? null : instructions,
+  });
+
+  return { response_action: "clear" };
+}
+
 /**
  * Handle feedback modal submission
  * Collects user feedback and posts to feedback channel
@@ -129,8 +246,242 @@ async function handleFeedbackSubmission(view, userId) {
   }
 }
 
+/**
+ * Handle add vector store modal submission (opened from App Home)
+ */
+async function handleAddVectorSubmission(view, userId) {
+  const channelId = view.private_metadata;
+  const vectorId = view.state.values.vector_block?.vector_input?.value?.trim();
+
+  if (!channelConfigModule.channelExists(channelId)) {
+    return {
+      response_action: "errors",
+      errors: { vector_block: "Channel is no longer subscribed" },
+    };
+  }
+
+  if (!isValidVectorId(vectorId)) {
+    return {
+      response_action: "errors",
+      errors: { vector_block: "Vector store IDs start with vs_" },
+    };
+  }
+
+  const before = getVectorIds(channelId);
+  const result = channelConfigModule.addVectorStore(channelId, vectorId);
+  if (!result.success) {
+    return {
+      response_action: "errors",
+      errors: { vector_block: result.error },
+    };
+  }
+
+  logger.info(
+    `[${channelId}]: vector store ${vectorId} added by admin ${userId} via App Home`,
+  );
+  recordAudit({
+    actor: userId,
+    channelId,
+    action: "addvector",
+    oldValue: before,
+    newValue: result.vectorIds,
+  });
+
+  return { response_action: "clear" };
+}
+
+/**
+ * Open the add curated answer modal
+ */
+async function openFaqModal(triggerId, channelId) {
+  try {
+    await openView(triggerId, modalDefs.faqModal(channelId));
+  } catch (error) {
+    logger.error("Error opening FAQ modal:", error);
+    throw error;
+  }
+}
+
+/**
+ * Handle add curated answer modal submission
+ */
+async function handleFaqSubmission(view, userId) {
+  const channelId = view.private_metadata;
+
+  if (!channelConfigModule.channelExists(channelId)) {
+    return {
+      response_action: "errors",
+      errors: { faq_triggers_block: "Channel is no longer subscribed" },
+    };
+  }
+
+  const values = view.state.values;
+  const result = channelConfigModule.addFaq(channelId, {
+    triggers: (
+      values.faq_triggers_block?.faq_triggers_input?.value || ""
+    ).split("\n"),
+    answer: values.faq_answer_block?.faq_answer_input?.value || "",
+    createdBy: userId,
+  });
+  if (!result.success) {
+    return {
+      response_action: "errors",
+      errors: { faq_triggers_block: result.error },
+    };
+  }
+
+  logger.info(
+    `[${channelId}] curated answer #${result.faq.id} added by admin ${userId} (${result.faq.triggers.length} triggers)`,
+  );
+  recordAudit({
+    actor: userId,
+    channelId,
+    action: "faq add",
+    oldValue: result.previous,
+    newValue: [...result.previous, result.faq],
+  });
+
+  return { response_action: "clear" };
+}
+
+/**
+ * Open the configuration import modal
+ */
+async function openImportModal(triggerId) {
+  try {
+    await openView(triggerId, modalDefs.importConfigModal());
+  } catch (error) {
+    logger.error("Error opening import modal:", error);
+    throw error;
+  }
+}
+
+/**
+ * Handle the uploaded snapshot
+ * Validates it and replaces the modal with a diff to confirm
+ */
+async function handleImportSubmission(view, userId) {
+  const file =
+    view.state.values.import_file_block?.import_file_input?.files?.[0];
+
+  if (!file) {
+    return {
+      response_action: "errors",
+      errors: { import_file_block: "Upload a snapshot file" },
+    };
+  }
+
+  let text;
+  try {
+    const buffer = await downloadFile(
+      file.url_private_download || file.url_private,
+    );
+    text = buffer.toString("utf8");
+  } catch (error) {
+    logger.error("Error downloading import file:", summarizeSlackError(error));
+    return {
+      response_action: "errors",
+      errors: { import_file_block: "Could not download the file" },
+    };
+  }
+
+  const parsed = configModule.parseSnapshot(text);
+  if (!parsed.success) {
+    logger.info(
+      `configuration import by ${userId} rejected: ${parsed.errors.join("; ")}`,
+    );
+    return {
+      response_action: "errors",
+      errors: {
+        import_file_block: parsed.errors
+          .slice(0, 3)
+          .join("\n")
+          .substring(0, 150),
+      },
+    };
+  }
+
+  const diff = configModule.diffSnapshot(
+    getAllChannelPreferences(),
+    parsed.snapshot,
+  );
+  const hasChanges = configModule.hasChanges(diff);
+  const token = await configModule.storePendingImport(userId, parsed.snapshot);
+  if (!token) {
+    return {
+      response_action: "errors",
+      errors: {
+        import_file_block:
+          "Imports need Redis, which is not available right now. Try again later.",
+      },
+    };
+  }
+
+  return {
+    response_action: "update",
+    view: modalDefs.importConfirmModal(
+      token,
+      hasChanges
+        ? configModule.formatDiff(diff)
+        : "The snapshot matches the current configuration. Nothing to import.",
+      hasChanges,
+    ),
+  };
+}
+
+/**
+ * Handle import confirmation
+ * Applies the pending snapshot and records it in the audit log
+ */
+async function handleImportConfirmation(view, userId) {
+  const snapshot = await configModule.takePendingImport(
+    view.private_metadata,
+    userId,
+  );
+
+  if (!snapshot) {
+    // No input block to attach errors to; tell the user directly
+    await postMessage(
+      userId,
+      "That import expired before it was confirmed. Run `/dasilva import` again.",
+    ).catch((error) => {
+      logger.error("Error sending import expiry notice:", error);
+    });
+    return { response_action: "clear" };
+  }
+
+  const diff = configModule.diffSnapshot(getAllChannelPreferences(), snapshot);
+  const { previous, current } = configModule.applySnapshot(snapshot);
+
+  logger.info(`configuration imported by admin ${userId}`);
+  recordAudit({
+    actor: userId,
+    channelId: null,
+    action: "import",
+    oldValue: previous,
+    newValue: current,
+  });
+
+  await postMessage(
+    userId,
+    `Configuration imported.\n\n${configModule.formatDiff(diff)}`,
+  ).catch((error) => {
+    logger.error("Error sending import summary:", error);
+  });
+
+  return { response_action: "clear" };
+}
+
 module.exports = {
   openLeaveChannelModal,
   handleLeaveChannelSubmission,
+  openInstructionsModal,
+  handleInstructionsSubmission,
+  handleAddVectorSubmission,
+  openFaqModal,
+  handleFaqSubmission,
   handleFeedbackSubmission,
+  openImportModal,
+  handleImportSubmission,
+  handleImportConfirmation,
 };
@@ -1,18 +1,29 @@
 const OpenAI = require("openai");
+const { toFile } = require("openai");
 const fs = require("fs");
 const path = require("path");
 const {
   MODEL,
   MAX_COMPLETION_TOKENS,
+  ALLOWED_MODELS,
+  MAX_OUTPUT_TOKENS_LIMIT,
   OPENAI_API_TIMEOUT,
   OPENAI_MAX_RETRIES,
+  CLASSIFIER_MODEL,
 } = require("./utils-variables");
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: OPENAI_API_TIMEOUT,
-  maxRetries: OPENAI_MAX_RETRIES,
-});
+// Created on first use, so tools that never call OpenAI (config-cli.js)
+// don't need OPENAI_API_KEY
+let openai = null;
+
+function getOpenAIClient() {
+  openai ??= new OpenAI({
+    apiKey: process.env.OPENAI_API_KEY,
+    timeout: OPENAI_API_TIMEOUT,
+    maxRetries: OPENAI_MAX_RETRIES,
+  });
+  return openai;
+}
 
 function loadInstructions() {
   const storageBase = process.env.PERSISTENT_STORAGE || __dirname;
@@ -27,15 +38,177 @@ function loadInstructions() {
   );
 }
 
-function callOpenAI(text, vectorId, threadHistory = []) {
-  const instructions = loadInstructions();
-  return openai.responses.create({
-    model: MODEL,
-    instructions,
+// ============================================================================
+// MODEL SETTINGS
+// ============================================================================
+
+function isAllowedModel(model) {
+  return ALLOWED_MODELS.includes(model);
+}
+
+function isValidMaxOutputTokens(tokens) {
+  return (
+    Number.isInteger(tokens) && tokens > 0 && tokens <= MAX_OUTPUT_TOKENS_LIMIT
+  );
+}
+
+function isValidRetrievalThreshold(threshold) {
+  return Number.isFinite(threshold) && threshold >= 0 && threshold <= 1;
+}
+
+/**
+ * Resolve the model a channel actually uses
+ * Falls back to MODEL if the override was removed from ALLOWED_MODELS
+ */
+function getEffectiveModel(model) {
+  return model && isAllowedModel(model) ? model : MODEL;
+}
+
+/**
+ * Resolve the max output tokens a channel actually uses
+ * Falls back to MAX_COMPLETION_TOKENS if the override is out of range
+ */
+function getEffectiveMaxOutputTokens(tokens) {
+  return isValidMaxOutputTokens(tokens) ? tokens : MAX_COMPLETION_TOKENS;
+}
+
+// Appended to every channel's instructions so answers match the question
+const LANGUAGE_INSTRUCTION =
+  "Always answer in the language the user's latest message is written in, even when the documentation is in another language.";
+
+/**
+ * Build Responses API parameters for a question
+ */
+function buildRequest(text, vectorIds, threadHistory, overrides) {
+  // Channel-specific instructions take precedence over instructions.md
+  const instructions = overrides.instructions || loadInstructions();
+  return {
+    model: getEffectiveModel(overrides.model),
+    instructions: `${instructions}\n\n${LANGUAGE_INSTRUCTION}`,
     input: [...threadHistory, { role: "user", content: text }],
-    tools: [{ type: "file_search", vector_store_ids: [vectorId] }],
-    max_output_tokens: MAX_COMPLETION_TOKENS,
+    tools: [{ type: "file_search", vector_store_ids: vectorIds }],
+    // Relevance scores of the documents found (see summarizeRetrieval)
+    include: ["file_search_call.results"],
+    max_output_tokens: getEffectiveMaxOutputTokens(overrides.maxOutputTokens),
+  };
+}
+
+/**
+ * Call the Responses API with file_search against a channel's vector stores
+ * @param {string} text - User question
+ * @param {string[]} vectorIds - Vector store IDs to search
+ * @param {Array} threadHistory - Prior {role, content} messages
+ * @param {Object} overrides - Per-channel overrides ({ instructions, model, maxOutputTokens })
+ * @returns {Promise} OpenAI response, with its file citations as `citations`
+ *   (see extractCitations)
+ */
+async function callOpenAI(text, vectorIds, threadHistory = [], overrides = {}) {
+  const response = await getOpenAIClient().responses.create(
+    buildRequest(text, vectorIds, threadHistory, overrides),
+  );
+  return { ...response, citations: extractCitations(response) };
+}
+
+// Events that end a streamed response (their payload is the final response)
+const STREAM_END_EVENTS = [
+  "response.completed",
+  "response.incomplete",
+  "response.failed",
+];
+
+/**
+ * Same as callOpenAI, but streams the answer as it is generated
+ * @param {Function} onText - Called with the full text so far after each delta
+ * @returns {Promise} Final OpenAI response (with output_text and citations)
+ */
+async function streamOpenAI(
+  text,
+  vectorIds,
+  threadHistory = [],
+  overrides = {},
+  onText = () => {},
+) {
+  const stream = await getOpenAIClient().responses.create({
+    ...buildRequest(text, vectorIds, threadHistory, overrides),
+    stream: true,
+  });
+
+  let outputText = "";
+  let response = null;
+
+  for await (const event of stream) {
+    if (event.type === "response.output_text.delta") {
+      outputText += event.delta;
+      onText(outputText);
+    } else if (STREAM_END_EVENTS.includes(event.type)) {
+      response = event.response;
+    } else if (event.type === "error") {
+      throw new Error(`OpenAI stream error: ${event.message || event.code}`);
+    }
+  }
+
+  if (!response) {
+    throw new Error("OpenAI stream ended without a response");
+  }
+
+  const final = { ...response, output_text: outputText };
+  return { ...final, citations: extractCitations(final) };
+}
+
+// ============================================================================
+// QUESTION CLASSIFIER
+// ============================================================================
+
+const CLASSIFIER_INSTRUCTIONS = `You screen messages posted in a Slack channel for a documentation assistant. For the message you are given, decide:
+
+- isQuestion: the author wants information, instructions or help that an answer from documentation could give. Requests phrased as statements count ("I can't find where to reset my password"). Social or rhetorical questions ("is anyone at lunch?"), announcements, status updates, complaints and chatter do not.
+- isInScope: the question is about what this channel's documentation covers (described below).
+- confidence: from 0 to 1, how sure you are that this is an in-scope question the assistant should answer.
+
+Messages can be in any language; judge them the same way whatever the language.`;
+
+// Structured output of the classifier
+const CLASSIFICATION_SCHEMA = {
+  type: "object",
+  properties: {
+    isQuestion: { type: "boolean" },
+    isInScope: { type: "boolean" },
+    confidence: { type: "number" },
+  },
+  required: ["isQuestion", "isInScope", "confidence"],
+  additionalProperties: false,
+};
+
+/**
+ * Ask a small model whether a message is a question worth answering
+ * @param {string} text - Message text
+ * @param {string} scope - What the channel's documentation covers
+ * @returns {Promise<Object>} { isQuestion, isInScope, confidence, response }
+ */
+async function callClassifier(text, scope) {
+  const response = await getOpenAIClient().responses.create({
+    model: CLASSIFIER_MODEL,
+    instructions: `${CLASSIFIER_INSTRUCTIONS}\n\n## Channel scope\n\n${scope}`,
+    input: text,
+    text: {
+      format: {
+        type: "json_schema",
+        name: "question_classification",
+        schema: CLASSIFICATION_SCHEMA,
+        strict: true,
+      },
+    },
+    // Leaves room for reasoning models to think before answering
+    max_output_tokens: 1000,
   });
+
+  const result = JSON.parse(response.output_text);
+  return {
+    isQuestion: result.isQuestion === true,
+    isInScope: result.isInScope === true,
+    confidence: Math.min(Math.max(Number(result.confidence) || 0, 0), 1),
+    response,
+  };
 }
 
 function summarizeOpenAIError(err) {
@@ -56,6 +229,66 @@ function summarizeOpenAIError(err) {
   };
 }
 
+// Scores kept per answer (in logs and the answer cache)
+const RETRIEVAL_TOP_SCORES = 3;
+
+/**
+ * Summarize the file_search results of a response
+ * Cached answers carry the summary made when they were generated
+ * @returns {Object} { searched, resultCount, topScore, topScores }
+ *   (scores from 0 to 1, best first; topScore is null without results)
+ */
+function summarizeRetrieval(response) {
+  if (response?.retrieval) return response.retrieval;
+
+  const searches = (response?.output ?? []).filter(
+    (o) => o?.type === "file_search_call",
+  );
+  const scores = searches
+    .flatMap((search) => search.results ?? [])
+    .map((result) => result?.score)
+    .filter((score) => Number.isFinite(score))
+    .sort((a, b) => b - a);
+
+  return {
+    searched: searches.length > 0,
+    resultCount: scores.length,
+    topScore: scores[0] ?? null,
+    topScores: scores.slice(0, RETRIEVAL_TOP_SCORES),
+  };
+}
+
+/**
+ * Collect the file_search citations of a response from the file_citation
+ * annotations on its output text
+ * Cached answers carry the citations extracted when they were generated
+ * @returns {Object[]} [{ fileId, filename, index }], where index is the
+ *   position in output_text the citation belongs after
+ */
+function extractCitations(response) {
+  if (response?.citations) return response.citations;
+
+  const citations = [];
+  let offset = 0;
+  for (const output of response?.output ?? []) {
+    if (output?.type !== "message") continue;
+    for (const content of output.content ?? []) {
+      if (content?.type !== "output_text") continue;
+      const length = content.text?.length ?? 0;
+      for (const annotation of content.annotations ?? []) {
+        if (annotation?.type !== "file_citation") continue;
+        citations.push({
+          fileId: annotation.file_id,
+          filename: annotation.filename,
+          index: offset + Math.min(annotation.index ?? length, length),
+        });
+      }
+      offset += length;
+    }
+  }
+  return citations;
+}
+
 function summarizeOpenAIResponse(response) {
   const output = response?.output ?? [];
   const first = output[0];
@@ -79,6 +312,9 @@ function summarizeOpenAIResponse(response) {
           total_tokens: response.usage.total_tokens,
         }
       : undefined,
+    cached: response?.cached || undefined,
+    retrieval: summarizeRetrieval(response),
+    citation_count: extractCitations(response).length,
     output_text_len: response?.output_text?.length ?? 0,
     output_count: output.length,
     output_types: output.map((o) => o?.type).filter(Boolean),
@@ -87,6 +323,18 @@ function summarizeOpenAIResponse(response) {
   };
 }
 
+/**
+ * Upload a file and attach it to a vector store, waiting for indexing
+ * @param {string} vectorId - Vector store ID
+ * @param {string} filename - Filename (extension determines parsing)
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} Vector store file ({ id, status, last_error })
+ */
+async function addFileToVectorStore(vectorId, filename, buffer) {
+  const file = await toFile(buffer, filename);
+  return getOpenAIClient().vectorStores.files.uploadAndPoll(vectorId, file);
+}
+
 function isValidVectorId(vectorId) {
   return vectorId && vectorId.startsWith("vs_");
 }
@@ -109,9 +357,20 @@ function isOpenAIError(error) {
 }
 
 module.exports = {
+  loadInstructions,
   callOpenAI,
+  streamOpenAI,
+  callClassifier,
+  isAllowedModel,
+  isValidMaxOutputTokens,
+  isValidRetrievalThreshold,
+  getEffectiveModel,
+  getEffectiveMaxOutputTokens,
   summarizeOpenAIResponse,
   summarizeOpenAIError,
+  summarizeRetrieval,
+  extractCitations,
+  addFileToVectorStore,
   isValidVectorId,
   isOpenAIError,
 };
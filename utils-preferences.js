@@ -1,73 +1,71 @@
-const fs = require("fs");
-const path = require("path");
 const logger = require("./utils-logger");
+const { createPreferenceStorage } = require("./utils-storage");
+const { getDefaultLanguages } = require("./utils-language");
+const {
+  DEFAULT_AMBIENT_POLICY,
+  RETRIEVAL_THRESHOLD,
+} = require("./utils-variables");
 
 // ============================================================================
 // PREFERENCE MANAGER CLASS
 // ============================================================================
 
 /**
- * Generic preference file manager with caching and auto-reload
+ * Generic preference manager with caching and auto-reload
  * Eliminates duplication between user-preferences and channel-preferences
+ * Preferences are stored in a JSON file or Redis (see utils-storage.js)
  */
 class PreferenceManager {
-  constructor(filename, defaultStructure, logName) {
-    const STORAGE_BASE = process.env.PERSISTENT_STORAGE || __dirname;
-    this.prefsFile = path.join(STORAGE_BASE, filename);
+  constructor(filename, defaultStructure, logName, migrate = null) {
+    this.storage = createPreferenceStorage(filename, defaultStructure);
     this.defaultStructure = defaultStructure;
     this.logName = logName;
 
+    // Optional upgrade hook: (preferences) => true if anything changed
+    this.migrate = migrate;
+
     // In-memory cache
     this.cache = null;
-    this.lastModified = null;
     this.lastCheckTime = 0;
-    this.CHECK_INTERVAL_MS = 5000; // Only check file modification every 5 seconds
+    this.CHECK_INTERVAL_MS = 5000; // Only check storage for changes every 5 seconds
   }
 
   /**
-   * Load preferences from file into memory cache
-   * Creates default file if it doesn't exist
-   * Uses throttled modification check to automatically reload if file changes
+   * Load preferences from storage into memory cache
+   * Creates default preferences if none are stored
+   * Uses throttled change check to automatically reload if storage changes
    */
   load() {
     const now = Date.now();
 
-    // Only check file modification time periodically to reduce overhead
+    // Only check for changes periodically to reduce overhead
     if (now - this.lastCheckTime > this.CHECK_INTERVAL_MS) {
       this.lastCheckTime = now;
 
       try {
-        if (fs.existsSync(this.prefsFile)) {
-          const stats = fs.statSync(this.prefsFile);
-          const currentModified = stats.mtime.getTime();
-
-          // Reload if file changed or cache is empty
-          if (this.cache === null || this.lastModified !== currentModified) {
-            const data = fs.readFileSync(this.prefsFile, "utf8");
-            this.cache = JSON.parse(data);
-            this.lastModified = currentModified;
-            logger.info(`loaded ${this.logName} from file`);
+        if (this.storage.exists()) {
+          // Reload if storage changed or cache is empty
+          if (this.cache === null || this.storage.hasChanged()) {
+            this.cache = this.storage.read();
+            logger.info(`loaded ${this.logName} from ${this.storage.name}`);
+
+            // Upgrade older formats in place
+            if (this.migrate && this.migrate(this.cache)) {
+              this.save(this.cache);
+              logger.info(`migrated ${this.logName} to current format`);
+            }
           }
         } else {
-          // Create default preferences if file doesn't exist
+          // Create default preferences if none are stored
           this.cache = { ...this.defaultStructure };
           this.save(this.cache);
-          this.lastModified = Date.now();
-          logger.info(`created new ${this.logName} file`);
+          logger.info(`created new ${this.logName} (${this.storage.name})`);
         }
       } catch (error) {
         logger.error(`error loading ${this.logName}:`, error.message);
 
         // Try to create backup if file is corrupted
-        if (fs.existsSync(this.prefsFile)) {
-          try {
-            const backup = `${this.prefsFile}.backup.${Date.now()}`;
-            fs.copyFileSync(this.prefsFile, backup);
-            logger.info(`Created backup of corrupted preferences: ${backup}`);
-          } catch (backupError) {
-            logger.error("Failed to create backup:", backupError.message);
-          }
-        }
+        this.storage.backupCorrupted?.();
 
         // Start fresh with defaults if first load, otherwise keep existing cache
         if (this.cache === null) {
@@ -80,49 +78,146 @@ class PreferenceManager {
   }
 
   /**
-   * Save preferences to file
+   * Check that data has the same top-level shape as the default structure
+   * Used to validate preferences coming from outside (e.g. imports)
+   * @returns {string[]} Problems found (empty if valid)
    */
-  save(preferences) {
-    try {
-      const dir = path.dirname(this.prefsFile);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+  validateStructure(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return [`${this.logName} must be a JSON object`];
+    }
+
+    const errors = [];
+    for (const [key, defaultValue] of Object.entries(this.defaultStructure)) {
+      const value = data[key];
+      if (
+        typeof value !== typeof defaultValue ||
+        value === null ||
+        Array.isArray(value) !== Array.isArray(defaultValue)
+      ) {
+        errors.push(
+          `\`${key}\` must be ${Array.isArray(defaultValue) ? "an array" : `of type ${typeof defaultValue}`}`,
+        );
       }
-      const data = JSON.stringify(preferences, null, 2);
-      fs.writeFileSync(this.prefsFile, data, "utf8");
+    }
+    return errors;
+  }
 
-      // Update lastModified to match the file we just wrote
-      // This prevents unnecessary reloads on next check
-      const stats = fs.statSync(this.prefsFile);
-      this.lastModified = stats.mtime.getTime();
+  /**
+   * Save preferences to storage
+   * @returns {boolean} false if they could not be saved (the cache keeps them)
+   */
+  save(preferences) {
+    try {
+      this.storage.write(preferences);
+      return true;
     } catch (error) {
       logger.error(`Error saving ${this.logName}:`, error.message);
       logger.error(
         "Continuing with in-memory cache only (graceful degradation)",
       );
+      return false;
     }
   }
+
+  /**
+   * Previous versions available for rollback, newest first
+   * Returns null if the storage backend keeps no history
+   * @returns {Object[]|null} [{ number, savedAt, entries }]
+   */
+  listVersions() {
+    if (!this.storage.listVersions) return null;
+
+    const [section] = Object.keys(this.defaultStructure);
+    return this.storage.listVersions().map(({ id, savedAt }, index) => {
+      let entries = null;
+      try {
+        entries = Object.keys(this.storage.readVersion(id)[section]).length;
+      } catch (error) {
+        logger.warn(`Unreadable ${this.logName} version ${id}:`, error.message);
+      }
+      return { number: index + 1, savedAt, entries };
+    });
+  }
+
+  /**
+   * Replace the current preferences with a previous version
+   * The current preferences become a version themselves, so this can be undone
+   * @param {number} number - Version number from listVersions() (1 = newest)
+   * @returns {Object} { success, error?, savedAt?, previous?, current? }
+   */
+  restoreVersion(number) {
+    const version = this.storage.listVersions?.()[number - 1];
+    if (!version) {
+      return { success: false, error: `There is no version ${number}` };
+    }
+
+    let data;
+    try {
+      data = this.storage.readVersion(version.id);
+    } catch (error) {
+      return {
+        success: false,
+        error: `Version ${number} can't be read: ${error.message}`,
+      };
+    }
+
+    const errors = this.validateStructure(data);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(", ") };
+    }
+    if (this.migrate) {
+      this.migrate(data);
+    }
+
+    const previous = this.load();
+    if (!this.save(data)) {
+      return {
+        success: false,
+        error: `${this.logName} could not be saved, nothing was restored`,
+      };
+    }
+    this.cache = data;
+    logger.info(
+      `restored ${this.logName} saved at ${version.savedAt.toISOString()}`,
+    );
+    return { success: true, savedAt: version.savedAt, previous, current: data };
+  }
 }
 
 // ============================================================================
 // USER PREFERENCES
 // ============================================================================
 
-const AMBIENT_MODE = process.env.AMBIENT_MODE === "true";
+/**
+ * Drop response times from user preferences (rate limits live in Redis now)
+ * Returns true if any user was changed
+ */
+function migrateUserPreferences(prefs) {
+  let changed = false;
+
+  for (const pref of Object.values(prefs.users || {})) {
+    if ("channelResponseTimes" in pref) {
+      delete pref.channelResponseTimes;
+      changed = true;
+    }
+  }
+
+  return changed;
+}
 
 // Initialize user preference manager
 const userManager = new PreferenceManager(
   "user-preferences.json",
   { users: {} },
   "user preferences",
+  migrateUserPreferences,
 );
 
 // Default user preference object
 const DEFAULT_USER_PREF = {
-  silenced: !AMBIENT_MODE,
   customCooldown: null,
-  channelResponseTimes: {}, // Track last response time per channel
-  channelSilences: {}, // Track which channels user is silenced in: { "channelId": true }
+  channelSilences: {}, // Explicit per-channel choice: { "channelId": true (silenced) | false (opted in) }
   lastUpdated: new Date().toISOString(),
 };
 
@@ -173,14 +268,6 @@ function updateUserPreference(userId, updates) {
   return prefs.users[userId];
 }
 
-/**
- * Check if user is silenced
- */
-function isUserSilenced(userId) {
-  const userPref = getUserPreference(userId);
-  return userPref.silenced === true;
-}
-
 /**
  * Get user's custom cooldown in seconds
  * Returns null if not set (use default)
@@ -191,47 +278,48 @@ function getUserCooldown(userId) {
 }
 
 /**
- * Get the last response time for a user in a specific channel
- * Returns null if no previous response
+ * Remember the last subscribed channel where a user talked to the bot
+ * Used as the default knowledge base for direct messages
+ * Only writes when the channel changes
  */
-function getLastResponseTime(userId, channelId) {
+function setLastActiveChannel(userId, channelId) {
   const userPref = getUserPreference(userId);
-  return userPref.channelResponseTimes?.[channelId] || null;
+  if (userPref.lastChannel === channelId) return;
+  updateUserPreference(userId, { lastChannel: channelId });
 }
 
+// ============================================================================
+// CHANNEL PREFERENCES
+// ============================================================================
+
 /**
- * Record that we responded to a user in a specific channel
- * Persists the timestamp to disk
+ * Upgrade channel preferences from a single vector_id to a vector_ids list
+ * Returns true if any channel was changed
  */
-function recordLastResponseTime(userId, channelId, timestamp = Date.now()) {
-  const prefs = loadUserPreferences();
-
-  if (!prefs.users[userId]) {
-    prefs.users[userId] = {
-      ...DEFAULT_USER_PREF,
-      lastUpdated: new Date().toISOString(),
-    };
-  }
-
-  if (!prefs.users[userId].channelResponseTimes) {
-    prefs.users[userId].channelResponseTimes = {};
+function migrateChannelPreferences(prefs) {
+  let changed = false;
+
+  for (const pref of Object.values(prefs.channels || {})) {
+    if ("vector_id" in pref) {
+      const vectorIds = Array.isArray(pref.vector_ids) ? pref.vector_ids : [];
+      if (pref.vector_id && !vectorIds.includes(pref.vector_id)) {
+        vectorIds.unshift(pref.vector_id);
+      }
+      pref.vector_ids = vectorIds;
+      delete pref.vector_id;
+      changed = true;
+    }
   }
 
-  prefs.users[userId].channelResponseTimes[channelId] = timestamp;
-  prefs.users[userId].lastUpdated = new Date().toISOString();
-
-  userManager.save(prefs);
+  return changed;
 }
 
-// ============================================================================
-// CHANNEL PREFERENCES
-// ============================================================================
-
 // Initialize channel preference manager
 const channelManager = new PreferenceManager(
   "channel-preferences.json",
   { channels: {} },
   "channel preferences",
+  migrateChannelPreferences,
 );
 
 /**
@@ -258,13 +346,38 @@ function isChannelSubscribed(channelId) {
   return pref?.subscribed === true;
 }
 
+/**
+ * Get a channel's ambient reply policy: "off", "opt-in" or "opt-out"
+ * Channels without a policy use the AMBIENT_MODE default
+ */
+function getAmbientPolicy(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.ambient_mode || DEFAULT_AMBIENT_POLICY;
+}
+
+/**
+ * Get the language packs used to spot questions and chatter in a channel
+ * Channels without a choice use DEFAULT_LANGUAGES (en if unset)
+ */
+function getChannelLanguages(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.languages || getDefaultLanguages();
+}
+
 /**
  * Check if a user is silenced in a specific channel
- * Returns true if user has disabled ambient responses for this channel
+ * An explicit silence/unsilence wins; otherwise the channel policy decides
+ * (opt-in channels are silent until the user unsilences)
  */
 function isUserSilencedInChannel(userId, channelId) {
+  const policy = getAmbientPolicy(channelId);
+  if (policy === "off") return true;
+
   const userPref = getUserPreference(userId);
-  return userPref.channelSilences?.[channelId] === true;
+  const choice = userPref.channelSilences?.[channelId];
+  if (typeof choice === "boolean") return choice;
+
+  return policy === "opt-in";
 }
 
 /**
@@ -293,16 +406,23 @@ function silenceUserInChannel(userId, channelId) {
 
 /**
  * Unsilence a user in a specific channel
- * User will receive ambient responses in this channel again
+ * Stored explicitly so the user is opted in even in opt-in channels
  */
 function unsilenceUserInChannel(userId, channelId) {
   const prefs = loadUserPreferences();
 
-  if (!prefs.users[userId]?.channelSilences) {
-    return; // Nothing to do
+  if (!prefs.users[userId]) {
+    prefs.users[userId] = {
+      ...DEFAULT_USER_PREF,
+      lastUpdated: new Date().toISOString(),
+    };
+  }
+
+  if (!prefs.users[userId].channelSilences) {
+    prefs.users[userId].channelSilences = {};
   }
 
-  delete prefs.users[userId].channelSilences[channelId];
+  prefs.users[userId].channelSilences[channelId] = false;
   prefs.users[userId].lastUpdated = new Date().toISOString();
 
   userManager.save(prefs);
@@ -347,12 +467,227 @@ function getAllChannelPreferences() {
 }
 
 /**
- * Get vector store ID for a channel
+ * Check that data matches the channel preferences file structure
+ * Returns an array of problems (empty if valid)
+ */
+function validateChannelPreferences(data) {
+  return channelManager.validateStructure(data);
+}
+
+/**
+ * Replace every channel's preferences at once (used by config import)
+ */
+function replaceAllChannelPreferences(channels) {
+  const prefs = loadChannelPreferences();
+  prefs.channels = channels;
+  channelManager.save(prefs);
+  return prefs.channels;
+}
+
+/**
+ * Get all vector store IDs attached to a channel
+ * Returns an empty array if none are configured
+ */
+function getVectorIds(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.vector_ids || [];
+}
+
+/**
+ * Get the primary (first attached) vector store ID for a channel
  * Returns null if not configured
  */
 function getVectorId(channelId) {
+  return getVectorIds(channelId)[0] || null;
+}
+
+/**
+ * Get channel-scoped admins (Slack user IDs) for a channel
+ * Returns an empty array if none are configured
+ */
+function getChannelAdmins(channelId) {
   const pref = getChannelPreference(channelId);
-  return pref?.vector_id || null;
+  return pref?.admins || [];
+}
+
+/**
+ * Check if a user has been granted admin rights for a specific channel
+ * Global admins (GLOBAL_ADMINS) are checked separately
+ */
+function isChannelAdmin(userId, channelId) {
+  return getChannelAdmins(channelId).includes(userId);
+}
+
+/**
+ * Get the OpenAI model override for a channel
+ * Returns null if the channel uses the global MODEL
+ */
+function getChannelModel(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.model || null;
+}
+
+/**
+ * Get the max output tokens override for a channel
+ * Returns null if the channel uses the global MAX_COMPLETION_TOKENS
+ */
+function getChannelMaxOutputTokens(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.max_output_tokens || null;
+}
+
+/**
+ * Get the minimum file_search relevance score for answers in a channel
+ * Channels without an override use RETRIEVAL_THRESHOLD
+ */
+function getChannelRetrievalThreshold(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.retrieval_threshold ?? RETRIEVAL_THRESHOLD;
+}
+
+/**
+ * Get the token budget for a channel
+ * Returns { period: "daily" | "monthly", tokens } or null if unlimited
+ */
+function getChannelBudget(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.budget || null;
+}
+
+/**
+ * Get the curated FAQ answers for a channel
+ * Returns [{ id, triggers, answer, createdBy, createdAt }]
+ */
+function getChannelFaqs(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.faqs || [];
+}
+
+/**
+ * Get custom system instructions for a channel
+ * Returns null if the channel uses the global instructions.md
+ */
+function getChannelInstructions(channelId) {
+  const pref = getChannelPreference(channelId);
+  return pref?.instructions || null;
+}
+
+// ============================================================================
+// SOURCE LINKS
+// ============================================================================
+
+// Canonical URLs (wiki, docs site) for cited documents, per vector store:
+// { vectorStores: { "vs_123": { "<filename or file ID>": "https://..." } } }
+const sourceLinkManager = new PreferenceManager(
+  "source-links.json",
+  { vectorStores: {} },
+  "source links",
+);
+
+/**
+ * Get a vector store's source links
+ * Returns { "<filename or file ID>": url }
+ */
+function getSourceLinks(vectorId) {
+  const prefs = sourceLinkManager.load();
+  return prefs.vectorStores[vectorId] || {};
+}
+
+/**
+ * Set (or remove with null) the URL a vector store's document links to
+ * @param {string} key - Filename or OpenAI file ID
+ * @returns {string|null} The previous URL
+ */
+function updateSourceLink(vectorId, key, url) {
+  const prefs = sourceLinkManager.load();
+  const links = { ...prefs.vectorStores[vectorId] };
+  const previous = links[key] || null;
+
+  if (url) {
+    links[key] = url;
+  } else {
+    delete links[key];
+  }
+
+  if (Object.keys(links).length > 0) {
+    prefs.vectorStores[vectorId] = links;
+  } else {
+    delete prefs.vectorStores[vectorId];
+  }
+
+  sourceLinkManager.save(prefs);
+  return previous;
+}
+
+/**
+ * Get every vector store's source links
+ * Returns { "<vector store ID>": { "<filename or file ID>": url } }
+ */
+function getAllSourceLinks() {
+  const prefs = sourceLinkManager.load();
+  return prefs.vectorStores;
+}
+
+/**
+ * Replace every vector store's source links at once (used by config import)
+ */
+function replaceAllSourceLinks(vectorStores) {
+  const prefs = sourceLinkManager.load();
+  prefs.vectorStores = vectorStores;
+  sourceLinkManager.save(prefs);
+  return prefs.vectorStores;
+}
+
+// ============================================================================
+// ROLLBACK
+// ============================================================================
+
+// Preferences that can be rolled back, by the name admins use
+const MANAGERS = {
+  channels: channelManager,
+  users: userManager,
+  sourcelinks: sourceLinkManager,
+};
+
+/**
+ * List saved versions of channel or user preferences or source links
+ * @param {string} kind - "channels", "users" or "sourcelinks"
+ * @returns {Object[]|null} [{ number, savedAt, entries }] or null without history
+ */
+function listPreferenceVersions(kind) {
+  return MANAGERS[kind].listVersions();
+}
+
+/**
+ * Roll channel or user preferences or source links back to a saved version
+ * @param {string} kind - "channels", "users" or "sourcelinks"
+ * @param {number} number - Version number (1 = most recent)
+ */
+function rollbackPreferences(kind, number) {
+  return MANAGERS[kind].restoreVersion(number);
+}
+
+// ============================================================================
+// STORAGE LIFECYCLE
+// ============================================================================
+
+/**
+ * Prepare preference storage; call once at startup before anything is loaded
+ * (the Redis backend needs a connected client)
+ */
+async function initPreferences() {
+  await userManager.storage.init();
+  await channelManager.storage.init();
+  await sourceLinkManager.storage.init();
+}
+
+/**
+ * Wait for pending preference writes (before shutting down)
+ */
+async function flushPreferences() {
+  await userManager.storage.flush();
+  await channelManager.storage.flush();
+  await sourceLinkManager.storage.flush();
 }
 
 // ============================================================================
@@ -363,14 +698,18 @@ module.exports = {
   // Class (if needed for extensions)
   PreferenceManager,
 
+  // Storage
+  initPreferences,
+  flushPreferences,
+  listPreferenceVersions,
+  rollbackPreferences,
+
   // User preferences
   loadUserPreferences,
   getUserPreference,
   updateUserPreference,
-  isUserSilenced,
   getUserCooldown,
-  getLastResponseTime,
-  recordLastResponseTime,
+  setLastActiveChannel,
 
   // Channel preferences
   loadChannelPreferences,
@@ -378,9 +717,29 @@ module.exports = {
   updateChannelPreference,
   deleteChannelPreference,
   getAllChannelPreferences,
+  validateChannelPreferences,
+  replaceAllChannelPreferences,
+  migrateChannelPreferences,
   getVectorId,
+  getVectorIds,
+  getChannelInstructions,
+  getChannelModel,
+  getChannelMaxOutputTokens,
+  getChannelRetrievalThreshold,
+  getChannelBudget,
+  getChannelFaqs,
+  getChannelAdmins,
+  isChannelAdmin,
   isChannelSubscribed,
+  getAmbientPolicy,
+  getChannelLanguages,
   isUserSilencedInChannel,
   silenceUserInChannel,
   unsilenceUserInChannel,
+
+  // Source links
+  getSourceLinks,
+  updateSourceLink,
+  getAllSourceLinks,
+  replaceAllSourceLinks,
 };
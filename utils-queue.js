@@ -0,0 +1,397 @@
+const crypto = require("crypto");
+const os = require("os");
+const logger = require("./utils-logger");
+const { getRedisClient, isRedisConnected, buildKey } = require("./utils-redis");
+const { isOpenAIError } = require("./utils-openai");
+const {
+  QUEUE_MAX_ATTEMPTS,
+  QUEUE_MAX_PENDING,
+  QUEUE_DEAD_LETTER_LIMIT,
+} = require("./utils-variables");
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const JOBS_KEY = buildKey("queue", "jobs");
+const DELAYED_KEY = buildKey("queue", "delayed");
+const DEAD_KEY = buildKey("queue", "dead");
+
+// Identifies this process's processing lists and heartbeat (unique per start,
+// since a restarted container can reuse the hostname and pid)
+const PROCESS_ID = `${os.hostname()}:${crypto.randomUUID().substring(0, 8)}`;
+
+// A process whose heartbeat is older than this is considered dead and its
+// in-flight jobs are put back on the queue
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+const HEARTBEAT_TTL_SECONDS = 30;
+const RECOVERY_INTERVAL_MS = 60 * 1000;
+
+// How often delayed retries are moved back onto the queue
+const DELAYED_POLL_INTERVAL_MS = 1000;
+
+// BLMOVE timeout, so workers notice shutdown
+const POP_TIMEOUT_SECONDS = 5;
+
+// First retry waits this long, doubling for each attempt after that
+const RETRY_BASE_DELAY_MS = 2000;
+
+// Wait before reconnecting a worker after a Redis error
+const WORKER_ERROR_DELAY_MS = 1000;
+
+// Slack platform errors worth retrying
+const TRANSIENT_SLACK_ERRORS = [
+  "ratelimited",
+  "internal_error",
+  "fatal_error",
+  "service_unavailable",
+  "request_timeout",
+];
+
+// ============================================================================
+// MODULE STATE
+// ============================================================================
+
+let stopping = false;
+const workers = [];
+const timers = [];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function processingKey(workerId) {
+  return buildKey("queue", "processing", workerId);
+}
+
+function heartbeatKey(processId) {
+  return buildKey("queue", "heartbeat", processId);
+}
+
+/**
+ * Check if an error is likely to go away on retry
+ * (OpenAI rate limits, timeouts and 5xx; Slack rate limits and network errors)
+ */
+function isTransientError(error) {
+  if (isOpenAIError(error)) {
+    const status = error.status;
+    if (typeof status !== "number") return true; // connection error or timeout
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+
+  switch (error?.code) {
+    case "slack_webapi_rate_limited_error":
+    case "slack_webapi_request_error":
+      return true;
+    case "slack_webapi_http_error":
+      return error.statusCode >= 500;
+    case "slack_webapi_platform_error":
+      return TRANSIENT_SLACK_ERRORS.includes(error.data?.error);
+    default:
+      return false;
+  }
+}
+
+// ============================================================================
+// PRODUCER
+// ============================================================================
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job handler name (e.g. "mention")
+ * @param {Object} payload - Handler input (e.g. the Slack event)
+ * @returns {Promise<Object>} { queued: boolean, reason?: "unavailable" | "full" }
+ */
+async function enqueueJob(type, payload) {
+  const redis = getRedisClient();
+  if (!redis) return { queued: false, reason: "unavailable" };
+
+  try {
+    if ((await redis.lLen(JOBS_KEY)) >= QUEUE_MAX_PENDING) {
+      logger.warn(`Queue: full (${QUEUE_MAX_PENDING} jobs), ${type} rejected`);
+      return { queued: false, reason: "full" };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      attempts: 0,
+      state: {},
+      enqueuedAt: Date.now(),
+    };
+    await redis.lPush(JOBS_KEY, JSON.stringify(job));
+    logger.debug(`Queue: ${type} job ${job.id} enqueued`);
+    return { queued: true };
+  } catch (error) {
+    logger.error(`Queue: failed to enqueue ${type} job:`, error.message);
+    return { queued: false, reason: "unavailable" };
+  }
+}
+
+/**
+ * Queue lengths (for health checks)
+ * @returns {Promise<Object|null>} { pending, delayed, dead } or null without Redis
+ */
+async function getQueueStats() {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  try {
+    const [pending, delayed, dead] = await Promise.all([
+      redis.lLen(JOBS_KEY),
+      redis.zCard(DELAYED_KEY),
+      redis.lLen(DEAD_KEY),
+    ]);
+    return { pending, delayed, dead };
+  } catch (error) {
+    logger.error("Queue: failed to read stats:", error.message);
+    return null;
+  }
+}
+
+// ============================================================================
+// JOB PROCESSING
+// ============================================================================
+
+/**
+ * Run one job and decide what happens to it on failure
+ * Handlers get (payload, job) and should rethrow an error only when
+ * job.willRetry(error) is true; anything else they throw is dead-lettered.
+ * job.state is kept between attempts (e.g. the "Thinking..." message ts).
+ */
+async function runJob(redis, handlers, job) {
+  const attempt = job.attempts + 1;
+  const handler = handlers[job.type];
+
+  if (!handler) {
+    throw new Error(`No handler for job type "${job.type}"`);
+  }
+
+  const context = {
+    id: job.id,
+    type: job.type,
+    attempt,
+    maxAttempts: QUEUE_MAX_ATTEMPTS,
+    state: job.state || {},
+    willRetry: (error) =>
+      attempt < QUEUE_MAX_ATTEMPTS && isTransientError(error),
+  };
+
+  try {
+    await handler(job.payload, context);
+    logger.debug(`Queue: ${job.type} job ${job.id} done (attempt ${attempt})`);
+  } catch (error) {
+    const failed = {
+      ...job,
+      attempts: attempt,
+      state: context.state,
+      lastError: error.message,
+    };
+
+    if (context.willRetry(error)) {
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      await redis.zAdd(DELAYED_KEY, {
+        score: Date.now() + delay,
+        value: JSON.stringify(failed),
+      });
+      logger.warn(
+        `Queue: ${job.type} job ${job.id} failed (attempt ${attempt}/${QUEUE_MAX_ATTEMPTS}), retrying in ${delay / 1000}s: ${error.message}`,
+      );
+      return;
+    }
+
+    await redis
+      .multi()
+      .lPush(
+        DEAD_KEY,
+        JSON.stringify({ ...failed, failedAt: new Date().toISOString() }),
+      )
+      .lTrim(DEAD_KEY, 0, QUEUE_DEAD_LETTER_LIMIT - 1)
+      .exec();
+    logger.error(
+      `Queue: ${job.type} job ${job.id} moved to dead-letter list after ${attempt} ${attempt === 1 ? "attempt" : "attempts"}: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Worker loop: move a job to this worker's processing list, run it, then
+ * remove it. If the process dies mid-job, recovery puts it back on the queue.
+ */
+async function workerLoop(workerId, handlers) {
+  let connection = null;
+  const inFlightKey = processingKey(workerId);
+
+  while (!stopping) {
+    // Checked first so an outage doesn't log "client not available" every loop
+    const redis = isRedisConnected() ? getRedisClient() : null;
+    if (!redis) {
+      await sleep(WORKER_ERROR_DELAY_MS);
+      continue;
+    }
+
+    try {
+      // Blocking pops need their own connection
+      if (!connection) {
+        connection = redis.duplicate();
+        connection.on("error", (error) => {
+          logger.error(`Queue: worker ${workerId} connection error:`, error);
+        });
+        await connection.connect();
+      }
+
+      const raw = await connection.blMove(
+        JOBS_KEY,
+        inFlightKey,
+        "RIGHT",
+        "LEFT",
+        POP_TIMEOUT_SECONDS,
+      );
+      if (!raw) continue;
+
+      try {
+        await runJob(redis, handlers, JSON.parse(raw));
+      } catch (error) {
+        logger.error(`Queue: worker ${workerId} dropped a job:`, error);
+      }
+      await redis.lRem(inFlightKey, 1, raw);
+    } catch (error) {
+      logger.error(`Queue: worker ${workerId} error:`, error.message);
+      if (connection) {
+        connection.disconnect().catch(() => {});
+        connection = null;
+      }
+      await sleep(WORKER_ERROR_DELAY_MS);
+    }
+  }
+
+  if (connection) {
+    await connection.quit().catch(() => {});
+  }
+}
+
+/**
+ * Move delayed retries that are due back onto the queue
+ */
+async function promoteDelayedJobs() {
+  const redis = isRedisConnected() ? getRedisClient() : null;
+  if (!redis) return;
+
+  try {
+    const due = await redis.zRangeByScore(DELAYED_KEY, 0, Date.now(), {
+      LIMIT: { offset: 0, count: 50 },
+    });
+    for (const raw of due) {
+      // zRem succeeds for only one process, so each job is promoted once
+      if (await redis.zRem(DELAYED_KEY, raw)) {
+        await redis.lPush(JOBS_KEY, raw);
+      }
+    }
+  } catch (error) {
+    logger.error("Queue: failed to promote delayed jobs:", error.message);
+  }
+}
+
+async function sendHeartbeat() {
+  const redis = isRedisConnected() ? getRedisClient() : null;
+  if (!redis) return;
+
+  try {
+    await redis.set(heartbeatKey(PROCESS_ID), Date.now().toString(), {
+      EX: HEARTBEAT_TTL_SECONDS,
+    });
+  } catch (error) {
+    logger.error("Queue: failed to send heartbeat:", error.message);
+  }
+}
+
+/**
+ * Put jobs back on the queue from processes that stopped sending heartbeats
+ */
+async function recoverOrphanedJobs() {
+  const redis = isRedisConnected() ? getRedisClient() : null;
+  if (!redis) return;
+
+  try {
+    for await (const key of redis.scanIterator({
+      MATCH: processingKey("*"),
+      COUNT: 100,
+    })) {
+      // Processing keys end with "<process id>:<worker number>"
+      const workerId = key.substring(processingKey("").length);
+      const processId = workerId.substring(0, workerId.lastIndexOf(":"));
+      if (await redis.exists(heartbeatKey(processId))) continue;
+
+      let recovered = 0;
+      while (await redis.lMove(key, JOBS_KEY, "RIGHT", "LEFT")) {
+        recovered++;
+      }
+      if (recovered > 0) {
+        logger.warn(
+          `Queue: recovered ${recovered} jobs from stopped worker ${workerId}`,
+        );
+      }
+    }
+  } catch (error) {
+    logger.error("Queue: failed to recover orphaned jobs:", error.message);
+  }
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Start queue workers in this process
+ * @param {Object} handlers - { [jobType]: async (payload, job) => {} }
+ * @param {number} concurrency - Number of jobs processed at once
+ */
+function startWorkers(handlers, concurrency) {
+  stopping = false;
+
+  sendHeartbeat();
+  recoverOrphanedJobs();
+  timers.push(
+    setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS),
+    setInterval(recoverOrphanedJobs, RECOVERY_INTERVAL_MS),
+    setInterval(promoteDelayedJobs, DELAYED_POLL_INTERVAL_MS),
+  );
+
+  for (let i = 0; i < concurrency; i++) {
+    workers.push(workerLoop(`${PROCESS_ID}:${i}`, handlers));
+  }
+  logger.info(`Queue: started ${concurrency} workers (${PROCESS_ID})`);
+}
+
+/**
+ * Stop taking new jobs and wait for in-flight jobs to finish
+ */
+async function stopWorkers() {
+  if (workers.length === 0) return;
+
+  stopping = true;
+  timers.forEach(clearInterval);
+  timers.length = 0;
+
+  await Promise.all(workers);
+  workers.length = 0;
+
+  const redis = getRedisClient();
+  if (redis) {
+    await redis.del(heartbeatKey(PROCESS_ID)).catch(() => {});
+  }
+  logger.info("Queue: workers stopped");
+}
+
+module.exports = {
+  isTransientError,
+  enqueueJob,
+  getQueueStats,
+  startWorkers,
+  stopWorkers,
+};
@@ -1,51 +1,301 @@
 const logger = require("./utils-logger");
+const { getRedisClient, isRedisConnected, buildKey } = require("./utils-redis");
+const { getUserCooldown } = require("./utils-preferences");
 const {
-  getUserCooldown,
-  getLastResponseTime,
-  recordLastResponseTime,
-} = require("./utils-preferences");
-const { RESPONSE_COOLDOWN_SECONDS } = require("./utils-variables");
+  RESPONSE_COOLDOWN_SECONDS,
+  AMBIENT_CHANNEL_MAX_PER_HOUR,
+  AMBIENT_WORKSPACE_MAX_PER_HOUR,
+} = require("./utils-variables");
 
 // ============================================================================
-// RATE LIMITING
+// RATE LIMITING (sliding windows in Redis, in-memory fallback)
 // ============================================================================
+//
+// Each limit is a sorted set of response timestamps. A response is allowed
+// while fewer than `max` responses fall inside the last `windowSeconds`.
+// A slot is reserved when an ambient question is admitted (checked and added
+// in one step, so a burst of messages can't all pass before the first answer
+// is sent) and released again if no answer is sent.
 
-/**
- * Check if we should respond based on rate limiting
- * Considers user's custom cooldown if set, otherwise uses default
- * Reads last response time from disk-backed user preferences
- */
-function isUserOnCooldown(channelId, userId) {
-  const lastTime = getLastResponseTime(userId, channelId);
+const HOUR_SECONDS = 60 * 60;
 
-  logger.debug(
-    `[${channelId}] cooldown check for user ${userId} (lastTime: ${lastTime})`,
-  );
+// In-memory fallback: key -> [{ at, member }], oldest first
+const memoryWindows = new Map();
 
-  if (!lastTime) return true;
+// Sweep idle in-memory windows once this many keys are tracked
+// (idle = nothing recorded for longer than the longest cooldown, 1440 minutes)
+const MEMORY_SWEEP_SIZE = 10000;
+const MEMORY_IDLE_MS = 24 * HOUR_SECONDS * 1000;
+
+// Checks every window and, only if all have room, adds the response to each
+// KEYS: windows; ARGV: now, member, then max and window (ms) for each key
+// Returns { 0 } when reserved, or { index of the full window, oldest score }
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+for i, key in ipairs(KEYS) do
+  local max = tonumber(ARGV[1 + i * 2])
+  local window = tonumber(ARGV[2 + i * 2])
+  redis.call("ZREMRANGEBYSCORE", key, 0, now - window)
+  if redis.call("ZCARD", key) >= max then
+    local oldest = redis.call("ZRANGE", key, 0, 0, "WITHSCORES")
+    return { i, oldest[2] or "" }
+  end
+end
+for i, key in ipairs(KEYS) do
+  redis.call("ZADD", key, now, ARGV[2])
+  redis.call("PEXPIRE", key, tonumber(ARGV[2 + i * 2]) + 60000)
+end
+return { 0 }
+`;
+
+function limitKeys(channelId, userId) {
+  return {
+    user: buildKey("ratelimit", "user", channelId, userId),
+    channel: buildKey("ratelimit", "channel", channelId),
+    workspace: buildKey("ratelimit", "workspace"),
+  };
+}
 
-  // Check for custom cooldown, otherwise use default
+/**
+ * Limits that apply to an ambient answer for a user in a channel
+ * A max of 0 (or a cooldown of 0) disables that limit
+ */
+function getLimits(channelId, userId) {
   const customCooldown = getUserCooldown(userId);
   const cooldown =
     customCooldown !== null ? customCooldown : RESPONSE_COOLDOWN_SECONDS;
+  const keys = limitKeys(channelId, userId);
+
+  return [
+    {
+      limit: "user",
+      key: keys.user,
+      max: cooldown > 0 ? 1 : 0,
+      windowSeconds: cooldown,
+    },
+    {
+      limit: "channel",
+      key: keys.channel,
+      max: AMBIENT_CHANNEL_MAX_PER_HOUR,
+      windowSeconds: HOUR_SECONDS,
+    },
+    {
+      limit: "workspace",
+      key: keys.workspace,
+      max: AMBIENT_WORKSPACE_MAX_PER_HOUR,
+      windowSeconds: HOUR_SECONDS,
+    },
+  ].filter(({ max }) => max > 0);
+}
+
+/**
+ * Seconds until the oldest response in a full window expires
+ */
+function retryAfter({ windowSeconds }, oldest, now) {
+  const seconds = oldest
+    ? Math.ceil((oldest + windowSeconds * 1000 - now) / 1000)
+    : windowSeconds;
+  return Math.max(seconds, 1);
+}
 
-  const timeSinceLastResponse = (Date.now() - lastTime) / 1000;
+/**
+ * Count responses in a window (Redis)
+ * @returns {Promise<Object>} { count, oldest } (oldest timestamp in ms or null)
+ */
+async function readRedisWindow(redis, { key, windowSeconds }, now) {
+  const [, count, oldest] = await redis
+    .multi()
+    .zRemRangeByScore(key, 0, now - windowSeconds * 1000)
+    .zCard(key)
+    .zRangeWithScores(key, 0, 0)
+    .exec();
+  return { count, oldest: oldest[0]?.score ?? null };
+}
 
-  logger.debug(
-    `[${channelId}] cooldown timer ${userId}: ${timeSinceLastResponse >= cooldown}`,
+/**
+ * Responses still inside a window (in memory), dropping older ones
+ */
+function trimMemoryWindow({ key, windowSeconds }, now) {
+  const entries = (memoryWindows.get(key) || []).filter(
+    ({ at }) => at > now - windowSeconds * 1000,
   );
-  return timeSinceLastResponse >= cooldown;
+  if (entries.length > 0) {
+    memoryWindows.set(key, entries);
+  } else {
+    memoryWindows.delete(key);
+  }
+  return entries;
+}
+
+function readMemoryWindow(window, now) {
+  const entries = trimMemoryWindow(window, now);
+  return { count: entries.length, oldest: entries[0]?.at ?? null };
 }
 
 /**
- * Record that we responded to a user
- * Persists the timestamp to disk via user preferences
+ * Add a response to the in-memory windows (trimmed as it is added)
+ * Kept even when Redis is up, so limits still hold if Redis goes away
  */
-function recordResponse(channelId, userId) {
-  recordLastResponseTime(userId, channelId, Date.now());
+function addToMemoryWindows(limits, now, member) {
+  for (const window of limits) {
+    const entries = trimMemoryWindow(window, now);
+    entries.push({ at: now, member });
+    memoryWindows.set(window.key, entries);
+  }
+
+  if (memoryWindows.size > MEMORY_SWEEP_SIZE) {
+    for (const [key, entries] of memoryWindows) {
+      if (entries[entries.length - 1].at < now - MEMORY_IDLE_MS) {
+        memoryWindows.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Reserve a slot in every window without Redis (one synchronous step)
+ */
+function reserveInMemory(limits, now, member) {
+  for (const window of limits) {
+    const usage = readMemoryWindow(window, now);
+    if (usage.count >= window.max) {
+      return {
+        limit: window.limit,
+        retryAfter: retryAfter(window, usage.oldest, now),
+      };
+    }
+  }
+  addToMemoryWindows(limits, now, member);
+  return null;
+}
+
+/**
+ * Check if an ambient answer to a user in a channel is over a rate limit:
+ * the user's cooldown, the channel's hourly cap or the workspace's hourly cap
+ * A cheap early check that reserves nothing; see reserveAmbientResponse
+ * @returns {Promise<Object|null>} null if the user may be answered, otherwise
+ *   { limit: "user" | "channel" | "workspace", retryAfter } (seconds)
+ */
+async function getAmbientRateLimit(channelId, userId) {
+  const now = Date.now();
+  const redis = isRedisConnected() ? getRedisClient() : null;
+
+  for (const window of getLimits(channelId, userId)) {
+    let usage = null;
+    if (redis) {
+      try {
+        usage = await readRedisWindow(redis, window, now);
+      } catch (error) {
+        logger.error(
+          `[${channelId}] Error reading ${window.limit} rate limit:`,
+          error.message,
+        );
+      }
+    }
+    usage ??= readMemoryWindow(window, now);
+
+    logger.debug(
+      `[${channelId}] ${window.limit} rate limit for ${userId}: ${usage.count}/${window.max} in ${window.windowSeconds}s`,
+    );
+
+    if (usage.count >= window.max) {
+      return {
+        limit: window.limit,
+        retryAfter: retryAfter(window, usage.oldest, now),
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Admit an ambient answer to a message: check every limit and count the
+ * answer against all of them in one atomic step
+ * Release the slot with releaseAmbientResponse if no answer is sent
+ * @param {string} messageTs - The question (one slot per message)
+ * @returns {Promise<Object|null>} null if reserved, otherwise
+ *   { limit: "user" | "channel" | "workspace", retryAfter } (seconds)
+ */
+async function reserveAmbientResponse(channelId, userId, messageTs) {
+  const now = Date.now();
+  const limits = getLimits(channelId, userId);
+  const member = `${channelId}:${messageTs}`;
+  if (limits.length === 0) return null;
+
+  const redis = isRedisConnected() ? getRedisClient() : null;
+  if (redis) {
+    try {
+      const [index, oldest] = await redis.eval(RESERVE_SCRIPT, {
+        keys: limits.map(({ key }) => key),
+        arguments: [
+          String(now),
+          member,
+          ...limits.flatMap(({ max, windowSeconds }) => [
+            String(max),
+            String(windowSeconds * 1000),
+          ]),
+        ],
+      });
+      if (index > 0) {
+        const window = limits[index - 1];
+        return {
+          limit: window.limit,
+          retryAfter: retryAfter(window, oldest ? Number(oldest) : null, now),
+        };
+      }
+      addToMemoryWindows(limits, now, member);
+      return null;
+    } catch (error) {
+      logger.error(
+        `[${channelId}] Error reserving rate limit slot:`,
+        error.message,
+      );
+    }
+  }
+
+  return reserveInMemory(limits, now, member);
+}
+
+/**
+ * Give back a slot reserved for a message that got no answer
+ * (suppressed, failed or not a question after all)
+ * Never throws: accounting must not break answering
+ */
+async function releaseAmbientResponse(channelId, userId, messageTs) {
+  const member = `${channelId}:${messageTs}`;
+  const keys = Object.values(limitKeys(channelId, userId));
+
+  for (const key of keys) {
+    const entries = memoryWindows.get(key);
+    if (!entries) continue;
+    const remaining = entries.filter((entry) => entry.member !== member);
+    if (remaining.length > 0) {
+      memoryWindows.set(key, remaining);
+    } else {
+      memoryWindows.delete(key);
+    }
+  }
+
+  const redis = isRedisConnected() ? getRedisClient() : null;
+  if (!redis) return;
+
+  try {
+    const transaction = redis.multi();
+    for (const key of keys) {
+      transaction.zRem(key, member);
+    }
+    await transaction.exec();
+  } catch (error) {
+    logger.error(
+      `[${channelId}] Error releasing rate limit slot:`,
+      error.message,
+    );
+  }
 }
 
 module.exports = {
-  isUserOnCooldown,
-  recordResponse,
+  getAmbientRateLimit,
+  reserveAmbientResponse,
+  releaseAmbientResponse,
 };
@@ -1,5 +1,6 @@
 const { WebClient } = require("@slack/web-api");
 const crypto = require("crypto");
+const axios = require("axios");
 const logger = require("./utils-logger");
 
 // Maximum age of a request (5 minutes) to prevent replay attacks
@@ -8,6 +9,12 @@ const MAX_REQUEST_AGE_SECONDS = 60 * 5;
 // Initialize Slack WebClient
 const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
 
+// Slack section blocks are limited to 3000 characters
+const MAX_SECTION_LENGTH = 2900;
+
+// Channel names rarely change; cache lookups for the life of the process
+const channelNameCache = new Map();
+
 // ============================================================================
 // SIGNATURE VERIFICATION
 // ============================================================================
@@ -139,6 +146,76 @@ function updateMessage(channel, ts, text, options = {}) {
   });
 }
 
+/**
+ * Update a message repeatedly while text streams in, at most once per interval
+ * (chat.update is rate limited). Updates are sent in order, never overlapping.
+ * @param {string} channel - Channel ID
+ * @param {string} ts - Message timestamp
+ * @param {number} intervalMs - Minimum time between updates
+ * @param {Function} format - (text) => text shown while still streaming
+ * @returns {Object} { update(text), finish(text, options), getText() }
+ */
+function createThrottledUpdater(channel, ts, intervalMs, format = (t) => t) {
+  let latestText = "";
+  let sentText = "";
+  let lastSentAt = 0;
+  let timer = null;
+  let inFlight = Promise.resolve();
+
+  const flush = () => {
+    timer = null;
+    if (latestText === sentText) return;
+    sentText = latestText;
+    lastSentAt = Date.now();
+    inFlight = inFlight
+      .then(() => updateMessage(channel, ts, format(sentText)))
+      .catch((error) => {
+        logger.warn(
+          `[${channel}] (${ts}) streaming update failed:`,
+          summarizeSlackError(error),
+        );
+      });
+  };
+
+  return {
+    update(text) {
+      latestText = text;
+      if (!timer) {
+        const wait = Math.max(0, lastSentAt + intervalMs - Date.now());
+        timer = setTimeout(flush, wait);
+      }
+    },
+
+    /**
+     * Cancel pending updates and replace the message with the final text
+     */
+    async finish(text, options = {}) {
+      clearTimeout(timer);
+      timer = null;
+      await inFlight;
+      return updateMessage(channel, ts, text, options);
+    },
+
+    getText() {
+      return latestText;
+    },
+  };
+}
+
+/**
+ * Split reply text into section blocks that fit Slack's size limit
+ */
+function textSections(text) {
+  const sections = [];
+  for (let i = 0; i < text.length; i += MAX_SECTION_LENGTH) {
+    sections.push({
+      type: "section",
+      text: { type: "mrkdwn", text: text.substring(i, i + MAX_SECTION_LENGTH) },
+    });
+  }
+  return sections;
+}
+
 /**
  * Post a message to a channel
  * @param {string} channel - Channel ID
@@ -154,6 +231,17 @@ function postMessage(channel, text, options = {}) {
   });
 }
 
+/**
+ * Send a message through a slash command or interaction response_url
+ * Used for replies that arrive after the 3 second acknowledgement window
+ * @param {string} responseUrl - response_url from the Slack payload
+ * @param {Object} payload - Message payload (text, blocks, response_type, etc.)
+ * @returns {Promise} HTTP response
+ */
+function postToResponseUrl(responseUrl, payload) {
+  return axios.post(responseUrl, payload);
+}
+
 /**
  * Open a modal view
  * @param {string} triggerId - Trigger ID from interaction
@@ -167,6 +255,46 @@ function openView(triggerId, view) {
   });
 }
 
+/**
+ * Publish a user's App Home tab
+ * @param {string} userId - Slack user ID
+ * @param {Object} view - Home view definition (type: "home")
+ * @returns {Promise} Slack API response
+ */
+function publishView(userId, view) {
+  return slackClient.views.publish({
+    user_id: userId,
+    view,
+  });
+}
+
+/**
+ * Open (or reuse) the bot's direct message channel with a user
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<string>} DM channel ID
+ */
+async function openDirectMessage(userId) {
+  const result = await slackClient.conversations.open({ users: userId });
+  return result.channel.id;
+}
+
+/**
+ * Upload a file to a channel (requires files:write)
+ * @param {string} channel - Channel ID (a DM channel ID also works)
+ * @param {string} filename - File name shown in Slack
+ * @param {string|Buffer} content - File contents
+ * @param {string} comment - Optional message posted with the file
+ * @returns {Promise} Slack API response
+ */
+function uploadFile(channel, filename, content, comment) {
+  return slackClient.files.uploadV2({
+    channel_id: channel,
+    filename,
+    ...(Buffer.isBuffer(content) ? { file: content } : { content }),
+    initial_comment: comment,
+  });
+}
+
 /**
  * Get bot user ID (requires auth.test call)
  * @returns {Promise<string>} Bot user ID
@@ -176,6 +304,173 @@ async function getBotUserId() {
   return authResult.user_id;
 }
 
+/**
+ * Fetch a single message by channel and timestamp
+ * Looks in channel history first, then in the thread (for replies)
+ * @param {string} channel - Channel ID
+ * @param {string} ts - Message timestamp
+ * @param {string} threadTs - Parent timestamp, if the message is a reply
+ * @returns {Promise<Object|null>} Slack message object or null if not found
+ */
+async function getMessage(channel, ts, threadTs = null) {
+  const history = await slackClient.conversations.history({
+    channel,
+    latest: ts,
+    inclusive: true,
+    limit: 1,
+  });
+  const rootMessage = history.messages?.find((msg) => msg.ts === ts);
+  if (rootMessage) return rootMessage;
+  if (!threadTs || threadTs === ts) return null;
+
+  // Replies are only listed under their parent's timestamp
+  const replies = await slackClient.conversations.replies({
+    channel,
+    ts: threadTs,
+    oldest: ts,
+    latest: ts,
+    inclusive: true,
+  });
+  return replies.messages?.find((msg) => msg.ts === ts) || null;
+}
+
+/**
+ * Parse a Slack message permalink into channel and timestamp
+ * Accepts raw links and Slack-escaped links (<https://...|label>)
+ * Links to thread replies carry the parent in a thread_ts query parameter
+ * @param {string} text - Text containing a message permalink
+ * @returns {Object|null} { channel, ts, threadTs } or null if no permalink
+ *   found (threadTs is null for root messages)
+ */
+function parseMessageLink(text) {
+  const match = (text || "").match(
+    /\/archives\/([CGD][A-Z0-9]+)\/p(\d{10})(\d{6})(\S*)/,
+  );
+  if (!match) return null;
+  const thread = match[4].match(/[?&;]thread_ts=(\d{10}\.\d{6})/);
+  return {
+    channel: match[1],
+    ts: `${match[2]}.${match[3]}`,
+    threadTs: thread ? thread[1] : null,
+  };
+}
+
+/**
+ * Download a private Slack file (requires files:read scope)
+ * @param {string} url - url_private or url_private_download of the file
+ * @returns {Promise<Buffer>} File contents
+ */
+async function downloadFile(url) {
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` },
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Map Slack messages to OpenAI {role, content} messages
+ * Bot messages become "assistant", everything else "user"
+ */
+function toOpenAIMessages(messages) {
+  return messages
+    .map((msg) => ({
+      role: msg.bot_id ? "assistant" : "user",
+      content: (msg.text || "").replace(/<@[A-Z0-9]+>/g, "").trim(),
+    }))
+    .filter((msg) => msg.content.length > 0);
+}
+
+/**
+ * Fetch recent top-level conversation history (e.g. a DM) since a timestamp
+ * @param {string} channel - Conversation ID
+ * @param {string} oldestTs - Only include messages at or after this timestamp
+ * @param {string} currentMessageTs - Current message timestamp to exclude
+ * @param {number} contextMessages - Number of messages to include (default: 10)
+ * @returns {Promise<Array>} Array of {role, content} objects, oldest first
+ */
+async function getConversationHistory(
+  channel,
+  oldestTs,
+  currentMessageTs,
+  contextMessages = 10,
+) {
+  try {
+    const result = await slackClient.conversations.history({
+      channel,
+      oldest: oldestTs,
+      inclusive: true,
+      limit: 50,
+    });
+
+    if (!result.ok || !result.messages) return [];
+
+    // History is returned newest first
+    const messages = result.messages
+      .filter((msg) => msg.ts !== currentMessageTs)
+      .reverse();
+
+    return toOpenAIMessages(messages.slice(-contextMessages));
+  } catch (error) {
+    logger.error("Error fetching conversation history:", error);
+    return [];
+  }
+}
+
+/**
+ * Get a channel's display name (cached)
+ * @param {string} channel - Channel ID
+ * @returns {Promise<string>} Channel name, or the ID if lookup fails
+ */
+async function getChannelName(channel) {
+  if (channelNameCache.has(channel)) return channelNameCache.get(channel);
+
+  try {
+    const result = await slackClient.conversations.info({ channel });
+    const name = result.channel?.name || channel;
+    channelNameCache.set(channel, name);
+    return name;
+  } catch (error) {
+    logger.debug(
+      `Unable to resolve channel name for ${channel}:`,
+      error.message,
+    );
+    return channel;
+  }
+}
+
+/**
+ * Get the public and private channels a user is a member of
+ * Only channels the bot is also in are visible (requires channels:read and
+ * groups:read). Fails closed: returns an empty set if Slack can't be asked.
+ * @param {string} userId - Slack user ID
+ * @returns {Promise<Set<string>>} Channel IDs
+ */
+async function getUserChannelIds(userId) {
+  const channelIds = new Set();
+  try {
+    let cursor;
+    do {
+      const result = await slackClient.users.conversations({
+        user: userId,
+        types: "public_channel,private_channel",
+        exclude_archived: true,
+        limit: 200,
+        cursor,
+      });
+      for (const channel of result.channels || []) channelIds.add(channel.id);
+      cursor = result.response_metadata?.next_cursor;
+    } while (cursor);
+  } catch (error) {
+    logger.error(
+      `Unable to list channels of ${userId}:`,
+      summarizeSlackError(error),
+    );
+    channelIds.clear();
+  }
+  return channelIds;
+}
+
 /**
  * Fetch recent thread history from Slack and map to OpenAI message roles
  * @param {string} channel - Channel ID
@@ -205,13 +500,7 @@ async function getThreadHistory(
     );
 
     // Map to OpenAI roles and take the last N messages
-    return threadMessages
-      .slice(-contextMessages)
-      .map((msg) => ({
-        role: msg.bot_id ? "assistant" : "user",
-        content: (msg.text || "").replace(/<@[A-Z0-9]+>/g, "").trim(),
-      }))
-      .filter((msg) => msg.content.length > 0);
+    return toOpenAIMessages(threadMessages.slice(-contextMessages));
   } catch (error) {
     logger.error("Error fetching thread history:", error);
     return [];
@@ -252,10 +541,22 @@ module.exports = {
   postThreadReply,
   postEphemeral,
   updateMessage,
+  createThrottledUpdater,
+  textSections,
   postMessage,
+  postToResponseUrl,
   openView,
+  publishView,
+  openDirectMessage,
+  uploadFile,
   getBotUserId,
   getThreadHistory,
+  getConversationHistory,
+  getChannelName,
+  getUserChannelIds,
+  getMessage,
+  parseMessageLink,
+  downloadFile,
 
   // Error handling
   summarizeSlackError,
@@ -0,0 +1,547 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const logger = require("./utils-logger");
+const { getRedisClient, buildKey } = require("./utils-redis");
+const {
+  PREFERENCES_BACKEND,
+  PREFERENCE_HISTORY_LIMIT,
+} = require("./utils-variables");
+
+// ============================================================================
+// PREFERENCE STORAGE BACKENDS
+// ============================================================================
+//
+// PreferenceManager keeps preferences in memory and talks to a storage
+// backend through a small synchronous interface, so every preference
+// function stays synchronous whatever the backend:
+//
+//   init()        async, called once at startup (before the first load)
+//   exists()      true if stored preferences exist
+//   hasChanged()  true if the stored preferences changed since the last read
+//   read()        the stored preferences (throws if they can't be read)
+//   write(prefs)  persist preferences (Redis writes complete in the background)
+//   flush()       async, resolves once pending writes are done
+//
+// The file backend also keeps previous versions for rollback:
+//
+//   listVersions()     [{ id, savedAt }], newest first
+//   readVersion(id)    the preferences saved in that version
+
+const STORAGE_BASE = process.env.PERSISTENT_STORAGE || __dirname;
+
+// Previous versions of preference files, kept for rollback
+const HISTORY_DIR = path.join(STORAGE_BASE, "history");
+
+// Advisory lock held while a preference file is written. Writers hold it for
+// milliseconds, and waiting blocks the event loop, so give up quickly.
+const LOCK_TIMEOUT_MS = 1000;
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 30 * 1000; // a writer never holds it this long
+
+// How often the Redis backend checks for changes made by other processes
+const REDIS_POLL_INTERVAL_MS = 5000;
+
+/**
+ * Block for a few milliseconds (preference writes are synchronous)
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check if a lock file was left behind by a writer that is gone
+ */
+function isLockStale(lockFile) {
+  try {
+    const lock = JSON.parse(fs.readFileSync(lockFile, "utf8"));
+    if (Date.now() - lock.createdAt > LOCK_STALE_MS) return true;
+
+    // Only processes on this host can be checked directly
+    if (lock.hostname === os.hostname()) {
+      try {
+        process.kill(lock.pid, 0);
+      } catch (error) {
+        return error.code === "ESRCH";
+      }
+    }
+    return false;
+  } catch (error) {
+    // Half-written or unreadable lock: judge by its age
+    try {
+      return Date.now() - fs.statSync(lockFile).mtimeMs > LOCK_STALE_MS;
+    } catch (statError) {
+      return statError.code === "ENOENT";
+    }
+  }
+}
+
+/**
+ * Take the advisory lock for a file (<file>.lock, created exclusively)
+ * Throws if another writer holds it for longer than LOCK_TIMEOUT_MS
+ * @returns {Function} Releases the lock
+ */
+function acquireLock(file) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockFile, "wx");
+      fs.writeSync(
+        fd,
+        JSON.stringify({
+          pid: process.pid,
+          hostname: os.hostname(),
+          createdAt: Date.now(),
+        }),
+      );
+      fs.closeSync(fd);
+      return () => fs.rmSync(lockFile, { force: true });
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    if (isLockStale(lockFile)) {
+      logger.warn(`Removing stale lock ${lockFile}`);
+      fs.rmSync(lockFile, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock ${lockFile}`);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Write a file so readers see either the old or the new content, even if the
+ * process crashes: temp file, fsync, rename over the original
+ */
+function writeFileAtomic(file, data) {
+  const tempFile = `${file}.tmp.${process.pid}`;
+  const fd = fs.openSync(tempFile, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, file);
+
+  // Persist the rename itself (not supported on every platform)
+  try {
+    const dirFd = fs.openSync(path.dirname(file), "r");
+    fs.fsyncSync(dirFd);
+    fs.closeSync(dirFd);
+  } catch {
+    // best effort
+  }
+}
+
+/**
+ * JSON file under PERSISTENT_STORAGE, reloaded when its mtime changes
+ * Writes are atomic and take an advisory lock, so other processes (e.g.
+ * config-cli.js) never see or produce a half-written file. If another process
+ * wrote the file since we read it, only the users or channels we changed are
+ * applied on top of its content. The previous content is kept in history/ for
+ * rollback.
+ */
+class FilePreferenceStorage {
+  constructor(filename, defaultStructure = {}) {
+    this.file = path.join(STORAGE_BASE, filename);
+    this.historyPrefix = `${path.basename(filename, ".json")}.`;
+    this.name = "file";
+    this.defaultStructure = defaultStructure;
+    this.lastModified = null;
+    this.base = {}; // fields (see toFields) of the content last read or written
+  }
+
+  async init() {}
+
+  async flush() {}
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  hasChanged() {
+    return fs.statSync(this.file).mtimeMs !== this.lastModified;
+  }
+
+  read() {
+    const modified = fs.statSync(this.file).mtimeMs;
+    const preferences = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    this.lastModified = modified;
+    this.base = toFields(preferences);
+    return preferences;
+  }
+
+  /**
+   * Throws if the lock can't be taken; nothing is written then
+   */
+  write(preferences) {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const release = acquireLock(this.file);
+    try {
+      let fields = toFields(preferences);
+      const merged = this.exists() && this.hasChanged();
+      if (merged) {
+        fields = this.mergeInto(this.readFields(), fields);
+      }
+
+      this.archiveCurrent();
+      writeFileAtomic(
+        this.file,
+        JSON.stringify(
+          merged ? fromFields(fields, this.defaultStructure) : preferences,
+          null,
+          2,
+        ),
+      );
+      this.base = fields;
+
+      // Match the file we just wrote so it isn't reloaded on the next check,
+      // unless it has changes from another process our caller hasn't seen
+      this.lastModified = merged ? null : fs.statSync(this.file).mtimeMs;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Current file content as fields, or {} if it can't be parsed
+   */
+  readFields() {
+    try {
+      return toFields(JSON.parse(fs.readFileSync(this.file, "utf8")));
+    } catch (error) {
+      logger.warn(`Overwriting unreadable ${this.file}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Apply the entries changed since our last read to another process's write
+   */
+  mergeInto(current, fields) {
+    logger.info(`${this.file} changed since it was read, merging changes`);
+    const result = { ...current };
+    for (const [field, json] of Object.entries(fields)) {
+      if (this.base[field] !== json) result[field] = json;
+    }
+    for (const field of Object.keys(this.base)) {
+      if (!(field in fields)) delete result[field];
+    }
+    return result;
+  }
+
+  /**
+   * Copy the current file into history before it is replaced
+   * Files that don't parse are not kept, so every version can be restored
+   */
+  archiveCurrent() {
+    if (PREFERENCE_HISTORY_LIMIT <= 0 || !fs.existsSync(this.file)) return;
+
+    try {
+      const data = fs.readFileSync(this.file, "utf8");
+      JSON.parse(data);
+
+      fs.mkdirSync(HISTORY_DIR, { recursive: true });
+      writeFileAtomic(
+        path.join(HISTORY_DIR, `${this.historyPrefix}${Date.now()}.json`),
+        data,
+      );
+
+      for (const { id } of this.listVersions().slice(
+        PREFERENCE_HISTORY_LIMIT,
+      )) {
+        fs.rmSync(path.join(HISTORY_DIR, id), { force: true });
+      }
+    } catch (error) {
+      logger.warn(
+        `Could not keep previous version of ${this.file}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Saved versions of this file, newest first
+   * @returns {Object[]} [{ id, savedAt }]
+   */
+  listVersions() {
+    if (!fs.existsSync(HISTORY_DIR)) return [];
+
+    // Versions are named <file name>.<saved at, ms>.json
+    return fs
+      .readdirSync(HISTORY_DIR)
+      .filter((id) => id.startsWith(this.historyPrefix) && id.endsWith(".json"))
+      .map((id) => ({
+        id,
+        savedAt: new Date(
+          Number(id.slice(this.historyPrefix.length, -".json".length)),
+        ),
+      }))
+      .filter(({ savedAt }) => !isNaN(savedAt))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  readVersion(id) {
+    return JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, id), "utf8"));
+  }
+
+  /**
+   * Keep a copy of a file that failed to load
+   */
+  backupCorrupted() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const backup = `${this.file}.backup.${Date.now()}`;
+      fs.copyFileSync(this.file, backup);
+      logger.info(`Created backup of corrupted preferences: ${backup}`);
+    } catch (backupError) {
+      logger.error("Failed to create backup:", backupError.message);
+    }
+  }
+}
+
+/**
+ * Split preferences into Redis hash fields, one per entry
+ * { users: { U1: {...} } } => { "users:U1": "{...}" }
+ * Values that aren't objects are stored under their own key
+ */
+function toFields(preferences) {
+  const fields = {};
+  for (const [section, value] of Object.entries(preferences)) {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      for (const [id, entry] of Object.entries(value)) {
+        fields[`${section}:${id}`] = JSON.stringify(entry);
+      }
+    } else {
+      fields[section] = JSON.stringify(value);
+    }
+  }
+  return fields;
+}
+
+function fromFields(fields, defaultStructure) {
+  const preferences = JSON.parse(JSON.stringify(defaultStructure));
+  for (const [field, json] of Object.entries(fields)) {
+    const separator = field.indexOf(":");
+    if (separator === -1) {
+      preferences[field] = JSON.parse(json);
+    } else {
+      const section = field.substring(0, separator);
+      preferences[section] ??= {};
+      preferences[section][field.substring(separator + 1)] = JSON.parse(json);
+    }
+  }
+  return preferences;
+}
+
+/**
+ * Redis hash shared by every replica, one field per user or channel
+ * Writes only touch the entries the caller changed, compared with the
+ * preferences it last read (not with the latest poll, which its cache may not
+ * have picked up yet), so replicas updating different users or channels don't
+ * overwrite each other. A version counter tells the other replicas to reload.
+ */
+class RedisPreferenceStorage {
+  constructor(filename, defaultStructure = {}) {
+    const name = path.basename(filename, ".json");
+    this.key = buildKey("prefs", name);
+    this.versionKey = buildKey("prefs", name, "version");
+    this.name = "Redis";
+    this.defaultStructure = defaultStructure;
+
+    this.ready = false;
+    this.version = null; // version we last read or wrote
+    this.saved = {}; // fields as last read from or written to Redis
+    this.base = {}; // fields behind the preferences last read or written here
+    this.dirty = new Map(); // field -> JSON, or null to delete; not yet saved
+    this.changed = false;
+    this.pending = Promise.resolve(); // writes and reloads run in order
+    this.timer = null;
+  }
+
+  /**
+   * Load the hash and start watching for changes
+   * Throws if Redis is unavailable: starting with empty preferences would
+   * look like every channel had been unsubscribed
+   */
+  async init() {
+    if (this.ready) return;
+
+    const redis = getRedisClient();
+    if (!redis) {
+      throw new Error(
+        "PREFERENCES_BACKEND is redis but Redis is not available",
+      );
+    }
+
+    const [version, fields] = await Promise.all([
+      redis.get(this.versionKey),
+      redis.hGetAll(this.key),
+    ]);
+    this.version = version;
+    this.saved = fields;
+    this.base = { ...fields };
+    this.changed = true;
+    this.ready = true;
+
+    this.timer = setInterval(() => {
+      this.pending = this.pending.then(() => this.reloadIfChanged());
+    }, REDIS_POLL_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  async flush() {
+    await this.pending;
+  }
+
+  /**
+   * Stop watching for changes (after flushing pending writes)
+   */
+  async close() {
+    clearInterval(this.timer);
+    await this.flush();
+  }
+
+  assertReady() {
+    if (!this.ready) {
+      throw new Error(`${this.key} read before Redis preferences were loaded`);
+    }
+  }
+
+  exists() {
+    this.assertReady();
+    return this.version !== null || Object.keys(this.saved).length > 0;
+  }
+
+  hasChanged() {
+    return this.changed;
+  }
+
+  read() {
+    this.assertReady();
+    this.changed = false;
+
+    // Local writes still on their way to Redis are part of what we read
+    const fields = { ...this.saved };
+    for (const [field, json] of this.dirty) {
+      if (json === null) delete fields[field];
+      else fields[field] = json;
+    }
+    this.base = fields;
+    return fromFields(fields, this.defaultStructure);
+  }
+
+  write(preferences) {
+    this.assertReady();
+    const fields = toFields(preferences);
+
+    // Diffed now, against what the caller's preferences were read from
+    for (const [field, json] of Object.entries(fields)) {
+      if (this.base[field] !== json) this.dirty.set(field, json);
+    }
+    for (const field of Object.keys(this.base)) {
+      if (!(field in fields)) this.dirty.set(field, null);
+    }
+    this.base = fields;
+
+    this.pending = this.pending.then(() => this.persist());
+  }
+
+  async persist() {
+    if (this.dirty.size === 0 && this.version !== null) return;
+
+    const redis = getRedisClient();
+    if (!redis) {
+      logger.error(`Redis unavailable, ${this.key} not saved`);
+      return;
+    }
+
+    const changes = new Map(this.dirty);
+    this.dirty.clear();
+    const updated = {};
+    const removed = [];
+    for (const [field, json] of changes) {
+      if (json === null) removed.push(field);
+      else updated[field] = json;
+    }
+
+    try {
+      const transaction = redis.multi();
+      if (Object.keys(updated).length > 0) {
+        transaction.hSet(this.key, updated);
+      }
+      if (removed.length > 0) {
+        transaction.hDel(this.key, removed);
+      }
+      transaction.incr(this.versionKey);
+      const results = await transaction.exec();
+      const version = results[results.length - 1];
+
+      Object.assign(this.saved, updated);
+      for (const field of removed) delete this.saved[field];
+
+      // If another process wrote in between, keep the old version so the next
+      // poll reloads its changes
+      if (this.version === null || version === Number(this.version) + 1) {
+        this.version = String(version);
+      }
+    } catch (error) {
+      logger.error(`Error saving ${this.key}:`, error.message);
+
+      // Retried with the next write, unless that write changed them again
+      for (const [field, json] of changes) {
+        if (!this.dirty.has(field)) this.dirty.set(field, json);
+      }
+    }
+  }
+
+  /**
+   * Reload the hash if another process has written to it
+   */
+  async reloadIfChanged() {
+    const redis = getRedisClient();
+    if (!redis) return;
+
+    try {
+      const version = await redis.get(this.versionKey);
+      if (version === this.version) return;
+
+      this.saved = await redis.hGetAll(this.key);
+      this.version = version;
+      this.changed = true;
+    } catch (error) {
+      logger.error(`Error reloading ${this.key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Storage for a preference file, as selected by PREFERENCES_BACKEND
+ */
+function createPreferenceStorage(filename, defaultStructure) {
+  if (PREFERENCES_BACKEND === "redis") {
+    return new RedisPreferenceStorage(filename, defaultStructure);
+  }
+  if (PREFERENCES_BACKEND !== "file") {
+    logger.warn(
+      `Unknown PREFERENCES_BACKEND "${PREFERENCES_BACKEND}", using file`,
+    );
+  }
+  return new FilePreferenceStorage(filename, defaultStructure);
+}
+
+module.exports = {
+  FilePreferenceStorage,
+  RedisPreferenceStorage,
+  createPreferenceStorage,
+};
@@ -76,7 +76,79 @@ async function markThreadActive(channelId, threadTs) {
   }
 }
 
+// ============================================================================
+// DIRECT MESSAGE CONVERSATIONS (Redis-backed)
+// ============================================================================
+
+/**
+ * Get the start timestamp of the active DM conversation
+ * Returns null if no conversation is active (or Redis is unavailable)
+ */
+async function getDmConversationStart(channelId) {
+  const redis = getRedisClient();
+
+  // Graceful degradation: if Redis unavailable, start a fresh conversation
+  if (!redis) {
+    logger.warn(
+      `[${channelId}] Redis unavailable, treating DM conversation as new`,
+    );
+    return null;
+  }
+
+  try {
+    const key = buildKey("dm", channelId);
+    return await redis.get(key);
+  } catch (error) {
+    logger.error(
+      `[${channelId}] Error checking DM conversation:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+/**
+ * Mark a DM conversation as active
+ * Keeps the original start timestamp and refreshes the TTL, so history
+ * covers the whole conversation until it goes quiet for the TTL
+ */
+async function markDmConversationActive(channelId, messageTs) {
+  const redis = getRedisClient();
+
+  if (!redis) {
+    logger.warn(
+      `[${channelId}] Redis unavailable, cannot mark DM conversation as active`,
+    );
+    return false;
+  }
+
+  try {
+    const key = buildKey("dm", channelId);
+
+    // NX: only the first message of a conversation sets the start timestamp
+    await redis.set(key, messageTs, {
+      NX: true,
+      EX: ACTIVE_THREAD_TTL_SECONDS,
+    });
+    await redis.expire(key, ACTIVE_THREAD_TTL_SECONDS);
+
+    logger.debug(
+      `[${channelId}] Marked DM conversation as active (TTL: ${ACTIVE_THREAD_TTL_SECONDS}s)`,
+    );
+
+    return true;
+  } catch (error) {
+    logger.error(
+      `[${channelId}] Error marking DM conversation as active:`,
+      error.message,
+    );
+    return false;
+  }
+}
+
 module.exports = {
   isThreadActive,
   markThreadActive,
+  getDmConversationStart,
+  markDmConversationActive,
 };
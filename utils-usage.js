@@ -0,0 +1,212 @@
+const logger = require("./utils-logger");
+const { getRedisClient, buildKey } = require("./utils-redis");
+const { MODEL_PRICES, USAGE_RETENTION_DAYS } = require("./utils-variables");
+
+// ============================================================================
+// TOKEN USAGE (Redis-backed daily buckets)
+// ============================================================================
+
+// Hash fields are "<channel>|<user>|<model>|<metric>"
+const FIELD_SEPARATOR = "|";
+const METRICS = ["in", "out", "calls"];
+
+/**
+ * Day bucket (UTC) for a date, e.g. "2024-05-01"
+ */
+function dayKey(date = new Date()) {
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Look up the price of a model (USD per 1M tokens)
+ * Dated snapshots (gpt-5-mini-2025-08-07) fall back to the longest matching prefix
+ * @returns {Object|null} { input, output } or null if unknown
+ */
+function getModelPrice(model) {
+  if (!model) return null;
+  if (MODEL_PRICES[model]) return MODEL_PRICES[model];
+
+  const prefix = Object.keys(MODEL_PRICES)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? MODEL_PRICES[prefix] : null;
+}
+
+/**
+ * Cost in USD of a number of tokens for a model
+ * Returns null if the model has no price configured
+ */
+function calculateCost(model, inputTokens, outputTokens) {
+  const price = getModelPrice(model);
+  if (!price) return null;
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Record the token usage of an OpenAI response
+ * Never throws: accounting must not break answering
+ * @param {Object} params - { channelId, userId, response }
+ * @returns {Promise<boolean>} True if recorded
+ */
+async function recordUsage({ channelId, userId, response }) {
+  const usage = response?.usage;
+  if (!usage) return false;
+
+  const redis = getRedisClient();
+
+  // Graceful degradation: usage is still in the response log line
+  if (!redis) {
+    logger.warn(`[${channelId}] Redis unavailable, usage not recorded`);
+    return false;
+  }
+
+  try {
+    const key = buildKey("usage", dayKey());
+    const field = (metric) =>
+      [channelId, userId, response.model, metric].join(FIELD_SEPARATOR);
+
+    await redis
+      .multi()
+      .hIncrBy(key, field("in"), usage.input_tokens || 0)
+      .hIncrBy(key, field("out"), usage.output_tokens || 0)
+      .hIncrBy(key, field("calls"), 1)
+      .expire(key, USAGE_RETENTION_DAYS * 24 * 60 * 60)
+      .exec();
+
+    return true;
+  } catch (error) {
+    logger.error(`[${channelId}] Error recording usage:`, error.message);
+    return false;
+  }
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+function emptyTotals() {
+  return { in: 0, out: 0, calls: 0, cost: 0, unpriced: 0 };
+}
+
+function addTo(totals, metric, value, model) {
+  totals[metric] += value;
+  if (metric === "in" || metric === "out") {
+    const cost =
+      metric === "in"
+        ? calculateCost(model, value, 0)
+        : calculateCost(model, 0, value);
+    if (cost === null) {
+      totals.unpriced += value;
+    } else {
+      totals.cost += cost;
+    }
+  }
+}
+
+/**
+ * Aggregate usage for the last N days (including today)
+ * @param {number} days - Number of daily buckets to read
+ * @returns {Promise<Object|null>} { days, since, total, channels, users, models } or null if Redis is unavailable
+ */
+async function getUsageReport(days) {
+  const redis = getRedisClient();
+  if (!redis) return null;
+
+  const dates = [];
+  for (let i = 0; i < days; i++) {
+    dates.push(dayKey(new Date(Date.now() - i * 24 * 60 * 60 * 1000)));
+  }
+
+  const report = {
+    days,
+    since: dates[dates.length - 1],
+    total: emptyTotals(),
+    channels: {},
+    users: {},
+    models: {},
+  };
+
+  const buckets = await Promise.all(
+    dates.map((date) => redis.hGetAll(buildKey("usage", date))),
+  );
+
+  for (const bucket of buckets) {
+    for (const [field, rawValue] of Object.entries(bucket || {})) {
+      const [channelId, userId, model, metric] = field.split(FIELD_SEPARATOR);
+      if (!METRICS.includes(metric)) continue;
+
+      const value = parseInt(rawValue, 10) || 0;
+      report.channels[channelId] ??= emptyTotals();
+      report.users[userId] ??= emptyTotals();
+      report.models[model] ??= emptyTotals();
+
+      for (const totals of [
+        report.total,
+        report.channels[channelId],
+        report.users[userId],
+        report.models[model],
+      ]) {
+        addTo(totals, metric, value, model);
+      }
+    }
+  }
+
+  return report;
+}
+
+function formatDollars(amount) {
+  return `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+}
+
+function formatTotals(totals) {
+  const unpriced =
+    totals.unpriced > 0
+      ? `, ${totals.unpriced.toLocaleString("en-US")} tokens unpriced`
+      : "";
+  return `${formatDollars(totals.cost)} (${totals.calls.toLocaleString("en-US")} ${totals.calls === 1 ? "request" : "requests"}, ${totals.in.toLocaleString("en-US")} in / ${totals.out.toLocaleString("en-US")} out${unpriced})`;
+}
+
+function topEntries(group, limit) {
+  return Object.entries(group)
+    .sort(([, a], [, b]) => b.cost - a.cost || b.in + b.out - (a.in + a.out))
+    .slice(0, limit);
+}
+
+/**
+ * Format a usage report as Slack mrkdwn
+ */
+function formatUsageReport(report, { topUsers = 10 } = {}) {
+  const heading = `*Usage for the last ${report.days} ${report.days === 1 ? "day" : "days"}* (since ${report.since} UTC)`;
+
+  if (report.total.calls === 0) {
+    return `${heading}\n\nNo usage recorded.`;
+  }
+
+  const lines = [heading, "", `*Total:* ${formatTotals(report.total)}`];
+
+  lines.push("", "*By channel:*");
+  for (const [channelId, totals] of topEntries(report.channels, 50)) {
+    lines.push(`• <#${channelId}>: ${formatTotals(totals)}`);
+  }
+
+  lines.push("", "*Top users:*");
+  for (const [userId, totals] of topEntries(report.users, topUsers)) {
+    lines.push(`• <@${userId}>: ${formatTotals(totals)}`);
+  }
+
+  lines.push("", "*By model:*");
+  for (const [model, totals] of topEntries(report.models, 20)) {
+    const note = getModelPrice(model) ? "" : " _(no price configured)_";
+    lines.push(`• \`${model}\`: ${formatTotals(totals)}${note}`);
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  getModelPrice,
+  calculateCost,
+  recordUsage,
+  getUsageReport,
+  formatUsageReport,
+};
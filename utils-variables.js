@@ -10,8 +10,67 @@
 const MODEL = process.env.MODEL || "gpt-5-mini";
 const MAX_COMPLETION_TOKENS =
   parseInt(process.env.MAX_COMPLETION_TOKENS) || 4000;
+// Models admins may assign to a channel (the default MODEL is always allowed)
+const ALLOWED_MODELS = [
+  ...new Set([
+    MODEL,
+    ...(process.env.ALLOWED_MODELS || "")
+      .split(",")
+      .map((model) => model.trim())
+      .filter(Boolean),
+  ]),
+];
+// Upper bound for a channel's max_output_tokens override
+const MAX_OUTPUT_TOKENS_LIMIT =
+  parseInt(process.env.MAX_OUTPUT_TOKENS_LIMIT) || 16000;
 const OPENAI_API_TIMEOUT = parseInt(process.env.OPENAI_API_TIMEOUT) || 30000; // 30 seconds
 const OPENAI_MAX_RETRIES = 0; // No retries by default
+// Decides which ambient messages are questions: "llm" or "heuristic" (regex only)
+const QUESTION_CLASSIFIER = (
+  process.env.QUESTION_CLASSIFIER || "llm"
+).toLowerCase();
+const CLASSIFIER_MODEL = process.env.CLASSIFIER_MODEL || "gpt-5-nano";
+const CLASSIFIER_THRESHOLD = parseFloat(
+  process.env.CLASSIFIER_THRESHOLD ?? "0.7",
+); // minimum confidence to answer (0-1)
+// Minimum file_search relevance score (0-1) of the best matching document;
+// below it ambient answers are dropped and other answers get a note. 0 disables
+const RETRIEVAL_THRESHOLD = parseFloat(
+  process.env.RETRIEVAL_THRESHOLD ?? "0.4",
+);
+
+// ============================================================================
+// Usage & Cost Accounting
+// ============================================================================
+
+// USD per 1M tokens; MODEL_PRICES (JSON) adds to or overrides these
+const DEFAULT_MODEL_PRICES = {
+  "gpt-5": { input: 1.25, output: 10.0 },
+  "gpt-5-mini": { input: 0.25, output: 2.0 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+};
+
+function parseModelPrices() {
+  if (!process.env.MODEL_PRICES) return DEFAULT_MODEL_PRICES;
+  try {
+    return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(process.env.MODEL_PRICES) };
+  } catch (error) {
+    console.error(
+      `[ERROR] Invalid MODEL_PRICES JSON, using defaults: ${error.message}`,
+    );
+    return DEFAULT_MODEL_PRICES;
+  }
+}
+
+const MODEL_PRICES = parseModelPrices();
+const USAGE_RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS) || 90;
+
+// Per-channel token budgets
+const BUDGET_PERIODS = ["daily", "monthly"];
+const BUDGET_WARNING_PERCENT =
+  parseInt(process.env.BUDGET_WARNING_PERCENT) || 80; // DM admins once per period
+const BUDGET_AMBIENT_CUTOFF_PERCENT =
+  parseInt(process.env.BUDGET_AMBIENT_CUTOFF_PERCENT) || 90; // ambient answers stop first
 
 // ============================================================================
 // Slack Configuration
@@ -21,6 +80,25 @@ const THREAD_CONTEXT_MESSAGES =
   parseInt(process.env.THREAD_CONTEXT_MESSAGES) || 10; // Thread history messages to include
 const RESPONSE_COOLDOWN_SECONDS =
   parseInt(process.env.RESPONSE_COOLDOWN_SECONDS) || 60; // 1 minute default
+const AMBIENT_CHANNEL_MAX_PER_HOUR = parseInt(
+  process.env.AMBIENT_CHANNEL_MAX_PER_HOUR ?? "30",
+); // ambient answers per channel per hour, 0 disables
+const AMBIENT_WORKSPACE_MAX_PER_HOUR = parseInt(
+  process.env.AMBIENT_WORKSPACE_MAX_PER_HOUR ?? "300",
+); // ambient answers across all channels per hour, 0 disables
+// Ambient reply policies a channel can choose
+const AMBIENT_POLICIES = ["off", "opt-in", "opt-out"];
+// AMBIENT_MODE=true means users get ambient replies unless they opt out
+const AMBIENT_MODE = process.env.AMBIENT_MODE === "true";
+const DEFAULT_AMBIENT_POLICY = AMBIENT_MODE ? "opt-out" : "opt-in";
+// Language packs for question/chatter detection in channels that haven't
+// picked any (comma-separated codes, e.g. "en,pt,ja"); empty means English only
+const DEFAULT_LANGUAGES = (process.env.DEFAULT_LANGUAGES || "")
+  .split(",")
+  .map((code) => code.trim().toLowerCase())
+  .filter(Boolean);
+const STREAM_UPDATE_INTERVAL_MS =
+  parseInt(process.env.STREAM_UPDATE_INTERVAL_MS) || 1000; // chat.update allows ~1 per second
 const EPHEMERAL_FOOTER =
   "\n\n\n\n_Type `/dasilva help` for more information_\n\n_If this response is helpful, use the promote button so everyone can benefit._";
 
@@ -30,6 +108,9 @@ const EPHEMERAL_FOOTER =
 
 const UNKNOWN_COMMAND_MESSAGE =
   "Unknown command: `{command}`\n\nType `/dasilva help` to see available commands.";
+// Appended to answers whose documents scored below the retrieval threshold
+const LOW_CONFIDENCE_NOTE =
+  "\n\n_Low confidence: I couldn't find documentation that closely matches this question, so please double-check this answer._";
 
 // ============================================================================
 // Admin & Permissions
@@ -47,6 +128,12 @@ const GLOBAL_ADMINS = (process.env.GLOBAL_ADMINS || "")
 const FEEDBACK_EMOJI = process.env.FEEDBACK_EMOJI || "wave";
 const FEEDBACK_CHANNEL = process.env.FEEDBACK_CHANNEL || null;
 
+// ============================================================================
+// Audit Configuration
+// ============================================================================
+
+const AUDIT_CHANNEL = process.env.AUDIT_CHANNEL || null;
+
 // ============================================================================
 // Server Configuration
 // ============================================================================
@@ -59,9 +146,29 @@ const PORT = parseInt(process.env.PORT) || 3000;
 
 const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
 const REDIS_KEY_PREFIX = process.env.REDIS_KEY_PREFIX || "dasilva:";
+const PREFERENCES_BACKEND = (
+  process.env.PREFERENCES_BACKEND || "file"
+).toLowerCase(); // "file" or "redis" (shared by every replica)
+const PREFERENCE_HISTORY_LIMIT = parseInt(
+  process.env.PREFERENCE_HISTORY_LIMIT ?? "20",
+); // previous preference files kept for /dasilva rollback (file backend, 0 disables)
 const ACTIVE_THREAD_TTL_SECONDS =
   parseInt(process.env.ACTIVE_THREAD_TTL_SECONDS) || 7200; // 2 hours default
 
+// Job queue (answers are processed by workers, see utils-queue.js)
+const WORKER_MODE = process.argv.includes("--worker"); // node app.js --worker
+const EMBEDDED_WORKERS = process.env.EMBEDDED_WORKERS !== "false"; // web process also runs workers
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY) || 4;
+const QUEUE_MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 3;
+const QUEUE_MAX_PENDING = parseInt(process.env.QUEUE_MAX_PENDING) || 500;
+const QUEUE_DEAD_LETTER_LIMIT =
+  parseInt(process.env.QUEUE_DEAD_LETTER_LIMIT) || 1000;
+const EVENT_DEDUPE_TTL_SECONDS =
+  parseInt(process.env.EVENT_DEDUPE_TTL_SECONDS) || 3600; // Slack retries for a few minutes
+const ANSWER_CACHE_TTL_SECONDS = parseInt(
+  process.env.ANSWER_CACHE_TTL_SECONDS ?? "86400",
+); // 1 day default, 0 disables the answer cache
+
 // ============================================================================
 // Exports
 // ============================================================================
@@ -70,16 +177,36 @@ module.exports = {
   // OpenAI
   MODEL,
   MAX_COMPLETION_TOKENS,
+  ALLOWED_MODELS,
+  MAX_OUTPUT_TOKENS_LIMIT,
   OPENAI_API_TIMEOUT,
   OPENAI_MAX_RETRIES,
+  QUESTION_CLASSIFIER,
+  CLASSIFIER_MODEL,
+  CLASSIFIER_THRESHOLD,
+  RETRIEVAL_THRESHOLD,
+
+  // Usage
+  MODEL_PRICES,
+  USAGE_RETENTION_DAYS,
+  BUDGET_PERIODS,
+  BUDGET_WARNING_PERCENT,
+  BUDGET_AMBIENT_CUTOFF_PERCENT,
 
   // Slack
   THREAD_CONTEXT_MESSAGES,
   RESPONSE_COOLDOWN_SECONDS,
+  AMBIENT_CHANNEL_MAX_PER_HOUR,
+  AMBIENT_WORKSPACE_MAX_PER_HOUR,
+  AMBIENT_POLICIES,
+  DEFAULT_AMBIENT_POLICY,
+  DEFAULT_LANGUAGES,
   EPHEMERAL_FOOTER,
+  STREAM_UPDATE_INTERVAL_MS,
 
   // Messages
   UNKNOWN_COMMAND_MESSAGE,
+  LOW_CONFIDENCE_NOTE,
 
   // Admin
   GLOBAL_ADMINS,
@@ -88,11 +215,24 @@ module.exports = {
   FEEDBACK_EMOJI,
   FEEDBACK_CHANNEL,
 
+  // Audit
+  AUDIT_CHANNEL,
+
   // Server
   PORT,
 
   // Redis
   REDIS_URL,
   REDIS_KEY_PREFIX,
+  PREFERENCES_BACKEND,
+  PREFERENCE_HISTORY_LIMIT,
   ACTIVE_THREAD_TTL_SECONDS,
+  EVENT_DEDUPE_TTL_SECONDS,
+  ANSWER_CACHE_TTL_SECONDS,
+  WORKER_MODE,
+  EMBEDDED_WORKERS,
+  WORKER_CONCURRENCY,
+  QUEUE_MAX_ATTEMPTS,
+  QUEUE_MAX_PENDING,
+  QUEUE_DEAD_LETTER_LIMIT,
 };